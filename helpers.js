@@ -114,3 +114,18 @@ export function label(scene, text, { x = 0, y = 0, z = 0, color = '#00d4ff', siz
   scene.add(mesh);
   return mesh;
 }
+
+/**
+ * Libère géométries, matériaux et textures d'un objet et de ses enfants.
+ * À appeler avant d'abandonner un groupe (ex. module régénéré).
+ */
+export function disposeObject(obj) {
+  obj.traverse((o) => {
+    if (o.geometry) o.geometry.dispose();
+    const mats = Array.isArray(o.material) ? o.material : o.material ? [o.material] : [];
+    for (const m of mats) {
+      if (m.map) m.map.dispose();
+      m.dispose();
+    }
+  });
+}
@@ -4,14 +4,51 @@
  *
  * Cette version : PELTIER · SORBANT · FILTRATION · RÉSERVOIR
  * Prochaines étapes : electronique.js, solaire.js
+ *
+ * Ajouter un module : créer modules/xxx.js qui appelle registerModule()
+ * (voir modules/registry.js) puis l'importer ci-dessous — boutons,
+ * légendes et presets caméra sont générés depuis le registre.
  */
 
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
-import { buildSorbant } from "./modules/sorbant.js";
-import { buildPeltier } from "./modules/peltier.js";
-import { buildFiltration } from "./modules/filtration.js";
-import { buildAssemblage } from "./modules/assemblage.js";
+import { listModules, getModule } from "./modules/registry.js";
+import { disposeObject } from "./helpers.js";
+import { initParamsPanel, paramsFor } from "./ui/params.js";
+import { initExplode } from "./ui/explode.js";
+import { initFlow } from "./viewer/flow.js";
+import { initFans } from "./viewer/fans.js";
+import { initPointer } from "./viewer/pointer.js";
+import { initMeasure } from "./viewer/measure.js";
+import { initDims } from "./viewer/dims.js";
+import { initSection } from "./viewer/section.js";
+import { initPeltierPanel } from "./ui/peltier-panel.js";
+import { initCyclePanel } from "./ui/cycle.js";
+import { initEnergyPanel } from "./ui/energy.js";
+import { initYieldPanel } from "./ui/yield.js";
+import { initTankPanel } from "./ui/tank.js";
+import { initRigPanel } from "./ui/rig.js";
+import { initFansPanel } from "./ui/fans.js";
+import { initOled } from "./ui/oled.js";
+import { initInspect } from "./ui/inspect.js";
+import { initBomPanel } from "./ui/bom.js";
+import { initMassPanel } from "./ui/mass.js";
+import { initExportPanel } from "./ui/export.js";
+import { initMeasurePanel } from "./ui/measure.js";
+import { initSectionPanel } from "./ui/section.js";
+import { initOutliner } from "./ui/outliner.js";
+import { initClearancePanel } from "./ui/clearance.js";
+import { initSlopePanel } from "./ui/slope.js";
+import { initHydraulicsPanel } from "./ui/hydraulics.js";
+import { state, subscribe } from "./sim/state.js";
+import { applyPeltierState } from "./modules/peltier.js";
+import { applySorbantState } from "./modules/sorbant.js";
+import { applyTankLevel } from "./modules/reservoir.js";
+import "./modules/peltier.js";
+import "./modules/sorbant.js";
+import "./modules/filtration.js";
+import "./modules/reservoir.js";
+import "./modules/assemblage.js";
 
 // ── Renderer ───────────────────────────────────────
 const canvas = document.getElementById("canvas");
@@ -106,42 +143,145 @@ const grid = new THREE.GridHelper(600, 60, 0x8090a0, 0xa0b0c0);
 grid.position.y = -0.5;
 scene.add(grid);
 
-// ── MODULE PELTIER ──────────────────────────────────
-const peltier = buildPeltier();
-peltier.position.set(0, 0, 0);
-scene.add(peltier);
-// ── MODULE SORBANT ─────────────────────────────────────────────
-const sorbant = buildSorbant();
-sorbant.position.set(0, 0, 0);
-sorbant.visible = false;
-scene.add(sorbant);
-
-// ── MODULE FILTRATION ──────────────────────────────────────────
-const filtration = buildFiltration();
-filtration.position.set(0, 0, 0);
-filtration.visible = false;
-scene.add(filtration);
-
-// ── ASSEMBLAGE COMPLET ──────────────────────────────────────────
-const assemblage = buildAssemblage();
-assemblage.position.set(0, 0, 0);
-assemblage.visible = false;
-scene.add(assemblage);
-
-const modules = { peltier, sorbant, filtration, assemblage };
-let activeModule = "peltier";
+// ── Modules (registre) ─────────────────────────────
+const modules = {};
+const builtWith = {}; // id → params (JSON) du dernier build
+let activeModule = null;
+
+function buildModule(id) {
+  const def = getModule(id);
+  const params = paramsFor(def);
+  const g = def.build(params);
+  builtWith[id] = JSON.stringify(params);
+  return g;
+}
+
+for (const def of listModules()) {
+  const g = buildModule(def.id);
+  g.visible = false;
+  scene.add(g);
+  modules[def.id] = g;
+}
+
+// Régénère un module (cotes modifiées) en libérant l'ancienne géométrie
+function rebuildModule(id) {
+  const old = modules[id];
+  inspect.clear(); // la sélection pointe dans l'ancienne géométrie
+  const g = buildModule(id);
+  g.visible = old.visible;
+  scene.remove(old);
+  disposeObject(old);
+  scene.add(g);
+  modules[id] = g;
+  applyWire(g);
+  applySim(g);
+  if (id === activeModule) {
+    outliner.render(); // masquages / opacités repris sur la nouvelle géométrie
+    bom.render();
+    mass.render();
+    dims.render(g);
+    sectionPanel.render();
+    clearance.render();
+    slopes.render();
+    hydraulics.render();
+  }
+  exporter.render(); // l'assemblage peut être exporté depuis une autre vue
+  if (id === 'peltier') fansPanel.render(); // volume de chambre
+}
+
+// Reporte l'état de simulation sur la géométrie (faces froides…)
+function applySim(root) {
+  applyPeltierState(root, state.peltier.result);
+  applySorbantState(root, state.sorbant.sample, state.sorbant.rig);
+  if (state.tank.level !== null) applyTankLevel(root, state.tank.level);
+}
+
+// Boutons du switcher
+const modBtns = document.getElementById("mod-btns");
+for (const def of listModules()) {
+  const b = document.createElement("button");
+  b.className = "mod-btn";
+  b.dataset.mod = def.id;
+  b.textContent = def.label;
+  b.style.setProperty("--accent", def.accent);
+  b.addEventListener("click", () => window.switchModule(def.id));
+  modBtns.appendChild(b);
+}
+
+// Légendes
+const legends = document.getElementById("legends");
+for (const def of listModules()) {
+  if (!def.legend) continue;
+  const el = document.createElement("div");
+  el.id = `legend-${def.id}`;
+  el.className = "legend";
+  el.dataset.legend = def.id;
+  el.style.display = "none";
+  const title = document.createElement("div");
+  title.className = "legend-title";
+  title.textContent = def.legend.title;
+  el.appendChild(title);
+  for (const item of def.legend.items) {
+    const row = document.createElement("div");
+    row.className = "legend-item";
+    const mark = document.createElement("span");
+    if (item.num !== undefined) {
+      mark.className = "lnum";
+      mark.style.borderColor = mark.style.color = item.color;
+      mark.textContent = item.num;
+    } else {
+      mark.className = "lblock";
+      mark.style.background = item.color;
+    }
+    row.append(mark, item.text);
+    el.appendChild(row);
+  }
+  legends.appendChild(el);
+}
+
 // ── État UI ────────────────────────────────────────
 let wireOn = false;
 let autoRot = false;
+
+function applyWire(root) {
+  root.traverse((o) => {
+    if (o.isMesh && !o.userData.isLabel && !o.userData.isHelper) {
+      o.material.wireframe = wireOn;
+    }
+  });
+}
+
+// Panneau de cotes : régénère le module actif à chaque édition
+const paramsEl = document.getElementById("params-panel");
+const paramsPanel = initParamsPanel(paramsEl, {
+  onChange: (def) => rebuildModule(def.id),
+});
+
+function applyCamera(name) {
+  const { position, target } = getModule(name).camera;
+  camera.position.set(...position);
+  controls.target.set(...target);
+  controls.update();
+}
+
 // Switch de module
 window.switchModule = (name) => {
   if (!modules[name]) return;
+  // cotes partagées (scope) modifiées depuis une autre vue
+  if (builtWith[name] !== JSON.stringify(paramsFor(getModule(name)))) {
+    rebuildModule(name);
+  }
   // cache tout
   Object.keys(modules).forEach((k) => {
     modules[k].visible = false;
   });
   modules[name].visible = true;
   activeModule = name;
+  inspect.clear();
+  outliner.render();
+  measure.show(name);
+  dims.render(modules[name]);
+  sectionPanel.render();
 
   // boutons switcher
   document.querySelectorAll(".mod-btn").forEach((b) => {
@@ -149,48 +289,42 @@ window.switchModule = (name) => {
   });
 
   // légendes
-  [
-    "legend",
-    "legend-sorbant",
-    "legend-filtration",
-    "legend-assemblage",
-  ].forEach((id) => {
-    const el = document.getElementById(id);
-    if (el) el.style.display = "none";
+  document.querySelectorAll("[data-legend]").forEach((el) => {
+    el.style.display = el.dataset.legend === name ? "" : "none";
   });
-  const legMap = {
-    peltier: "legend",
-    sorbant: "legend-sorbant",
-    filtration: "legend-filtration",
-    assemblage: "legend-assemblage",
-  };
-  const activeLeg = document.getElementById(legMap[name]);
-  if (activeLeg) activeLeg.style.display = "";
-
-  // applique le wireframe courant au module activé
-  modules[name].traverse((o) => {
-    if (o.isMesh && !o.userData.isLabel) o.material.wireframe = wireOn;
+
+  // contrôles propres à un ou plusieurs modules (data-for-module="a b")
+  document.querySelectorAll("[data-for-module]").forEach((el) => {
+    const ids = el.dataset.forModule.split(/\s+/);
+    el.style.display = ids.includes(name) ? "" : "none";
   });
 
+  // applique le wireframe et l'état de simulation au module activé
+  applyWire(modules[name]);
+  applySim(modules[name]);
+
+  paramsPanel.show(getModule(name));
+  bom.render();
+  mass.render();
+  clearance.render();
+  slopes.render();
+  hydraulics.render();
+  exporter.render();
+
   // reset caméra
-  if (name === "assemblage") {
-    camera.position.set(170, 105, 170);
-    controls.target.set(0, 40, 0);
-  } else {
-    camera.position.set(95, 55, 95);
-    controls.target.set(0, 7, 0);
-  }
-  controls.update();
+  applyCamera(name);
 };
 // Expose au HTML (onclick dans index.html)
 window.toggleWire = () => {
   wireOn = !wireOn;
   document.getElementById("btn-wire").classList.toggle("on", wireOn);
-  scene.traverse((o) => {
-    if (o.isMesh && !o.userData.isLabel) {
-      o.material.wireframe = wireOn;
-    }
-  });
+  applyWire(scene);
+};
+
+window.toggleParams = () => {
+  const on = paramsEl.style.display === "none";
+  paramsEl.style.display = on ? "" : "none";
+  document.getElementById("btn-params").classList.toggle("on", on);
 };
 
 window.toggleRot = () => {
@@ -201,11 +335,134 @@ window.toggleRot = () => {
 };
 
 window.resetView = () => {
-  camera.position.set(100, 60, 100);
-  controls.target.set(0, 7, 0);
-  controls.update();
+  applyCamera(activeModule);
+};
+
+// Vue éclatée de l'assemblage
+const explode = initExplode({ getGroup: () => modules.assemblage });
+
+// Gouttelettes le long des tuyaux d'eau
+const flow = initFlow(scene, {
+  isTapOpen: () => state.tank.tapOpen && state.tank.flowMl > 0,
+});
+const flowRate = document.getElementById("flow-rate");
+const flowRateOut = document.getElementById("flow-rate-val");
+flowRate.addEventListener("input", () => {
+  flow.setRate(Number(flowRate.value));
+  flowRateOut.textContent = `${flowRate.value} mL/min`;
+});
+
+window.toggleFlow = () => {
+  flow.setEnabled(!flow.enabled);
+  document.getElementById("btn-flow").classList.toggle("on", flow.enabled);
+  document.getElementById("flow-ctl").style.display = flow.enabled ? "" : "none";
+};
+
+// Rotors et flèches de flux des ventilateurs
+const fans = initFans({ getState: () => state.fans });
+
+// Plan de coupe (clipping + bouchons hachurés)
+const section = initSection(scene, renderer);
+const sectionPanel = initSectionPanel(section, { getRoot: () => modules[activeModule] });
+window.toggleSection = () => {
+  document.getElementById("btn-section").classList.toggle("on", sectionPanel.toggle());
+};
+
+// Clics 3D sur le module affiché (la partie coupée est transparente au clic)
+const pointer = initPointer(canvas, camera, {
+  getRoot: () => modules[activeModule],
+  isCut: (p) => !section.keeps(p),
+});
+
+// Mesures distance / angle — prioritaire sur les autres clics quand actif
+const measure = initMeasure(scene, { getModuleId: () => activeModule });
+pointer.onClick((hit) => measure.click(hit));
+pointer.onHover((hit) => measure.hover(hit));
+const measurePanel = initMeasurePanel(measure);
+measure.onChange(() => {
+  document.getElementById("btn-measure").classList.toggle("on", !!measure.mode);
+});
+window.toggleMeasure = () => measurePanel.toggle();
+
+// Cotation automatique (hors-tout + cotes taguées par les modules)
+const dims = initDims(scene);
+window.toggleDims = () => {
+  dims.setEnabled(!dims.enabled);
+  dims.render(modules[activeModule]);
+  document.getElementById("btn-dims").classList.toggle("on", dims.enabled);
 };
 
+// ── Simulation ─────────────────────────────────────
+// Seul le module affiché est mis à jour ; switchModule() rattrape les autres
+subscribe((section) => {
+  if (section === "peltier" || section === "sorbant" || section === "tank") {
+    applySim(modules[activeModule]);
+  }
+});
+initPeltierPanel();
+const fansPanel = initFansPanel();
+const cycle = initCyclePanel();
+initRigPanel({ getRoot: () => modules.sorbant });
+initEnergyPanel();
+const tank = initTankPanel({ getRoot: () => modules.reservoir });
+initYieldPanel();
+
+// OLED + boutons de la face avant Sorbant (menu firmware)
+const oled = initOled({ getRoot: () => modules[activeModule] });
+pointer.onClick((hit) => {
+  const btn = hit?.object.userData.button;
+  if (!btn) return false;
+  oled.press(btn);
+  // enfoncement bref du bouton
+  hit.object.position.z += 0.3;
+  setTimeout(() => { hit.object.position.z -= 0.3; }, 150);
+  return true;
+});
+pointer.onHover((hit) => (hit?.object.userData.button ? "pointer" : ""));
+
+// Sélection de composants : contour + fiche technique
+const inspect = initInspect({ onChange: () => exporter.render() });
+pointer.onClick((hit) => inspect.pick(hit));
+pointer.onHover((hit) => inspect.hover(hit));
+
+// Nomenclature du module affiché
+const bom = initBomPanel({
+  getRoot: () => modules[activeModule],
+  getId: () => activeModule,
+});
+
+// Masse, centre de gravité et basculement du module affiché
+const mass = initMassPanel({ getRoot: () => modules[activeModule] });
+
+// Export GLB / STL (module, assemblage ou composant sélectionné)
+const exporter = initExportPanel({
+  getRoot: () => modules[activeModule],
+  getId: () => activeModule,
+  getAssemblage: () => modules.assemblage,
+  getSelected: () => inspect.selected,
+});
+
+// Arborescence : visibilité, isolement et opacité des sous-ensembles
+const outliner = initOutliner({
+  getRoot: () => modules[activeModule],
+  getId: () => activeModule,
+  onChange: () => {
+    dims.render(modules[activeModule]);
+    clearance.refresh();
+    slopes.refresh();
+    exporter.render();
+  },
+});
+
+// Interférences et jeux entre modules, tuyaux / parois
+const clearance = initClearancePanel({ getRoot: () => modules[activeModule] });
+
+// Pentes du réseau d'eau gravitaire : contre-pentes, siphons, chute mini
+const slopes = initSlopePanel({ getRoot: () => modules[activeModule] });
+
+// Hydraulique de la filtration : pertes de charge, débit gravitaire, colmatage
+const hydraulics = initHydraulicsPanel({ getRoot: () => modules[activeModule] });
+
 // ── Resize ─────────────────────────────────────────
 window.addEventListener("resize", () => {
   camera.aspect = innerWidth / innerHeight;
@@ -219,6 +476,17 @@ function animate() {
   requestAnimationFrame(animate);
   t += 0.016;
 
+  if (explode.update(0.016)) {
+    dims.render(modules.assemblage);
+    clearance.refresh();
+    slopes.refresh();
+  }
+  flow.update(0.016, modules[activeModule]);
+  cycle.update(0.016);
+  tank.update(0.016);
+  fans.update(0.016, modules[activeModule]);
+  oled.update(0.016);
+
   // Pulsation douce de l'accent cyan
   accent.intensity = 0.7 + Math.sin(t * 1.5) * 0.15;
 
@@ -231,4 +499,5 @@ function animate() {
   renderer.render(scene, camera);
 }
 
+window.switchModule(listModules()[0].id);
 animate();
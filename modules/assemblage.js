@@ -11,6 +11,9 @@
  *
  *   Gauche (X ≈ -68) : panneau solaire 50W (externe, câble 2 m)
  *
+ * Vue éclatée : setExplode(g, amount) écarte les 4 couches et reroute
+ * le réseau eau inter-modules entre les sorties déplacées.
+ *
  * 1 unit = 1 cm
  */
 
@@ -18,14 +21,26 @@ import * as THREE from 'three';
 import { buildSorbant }    from './sorbant.js';
 import { buildPeltier }    from './peltier.js';
 import { buildFiltration } from './filtration.js';
+import { registerModule }  from './registry.js';
+import { addPort, getPort } from './ports.js';
+import { disposeObject }   from '../helpers.js';
 
 // ── Helpers ────────────────────────────────────────────────────────
-function mat(color, { roughness = 0.7, metalness = 0.1, opacity = 1 } = {}) {
+function mat(color, { roughness = 0.7, metalness = 0.1, opacity = 1, density = 0 } = {}) {
   const t = opacity < 0.99;
-  return new THREE.MeshStandardMaterial({
+  const m = new THREE.MeshStandardMaterial({
     color, roughness, metalness, opacity, transparent: t,
     side: t ? THREE.DoubleSide : THREE.FrontSide,
   });
+  m.userData.density = density; // g/cm³ — 0 : ignoré par le bilan de masse
+  return m;
+}
+// Sous-ensemble de la caisse électronique (Boîtier, Composants)
+function sub(parent, name) {
+  const s = new THREE.Group();
+  s.name = name;
+  parent.add(s);
+  return s;
 }
 function addM(parent, geo, material) {
   const m = new THREE.Mesh(geo, material);
@@ -41,9 +56,9 @@ function cy(parent, r, h, material, x = 0, y = 0, z = 0, rx = 0, rz = 0) {
   m.position.set(x, y, z); m.rotation.x = rx; m.rotation.z = rz; return m;
 }
 function pipe(parent, points, r = 0.60) {
-  addM(parent, new THREE.TubeGeometry(
+  return addM(parent, new THREE.TubeGeometry(
     new THREE.CatmullRomCurve3(points), 14, r, 10, false
-  ), mat(0x2e86c1, { roughness: 0.45, metalness: 0.50, opacity: 0.88 }));
+  ), mat(0x2e86c1, { roughness: 0.45, metalness: 0.50, opacity: 0.88, density: 0.6 }));
 }
 function edgeLine(parent, m, color, op = 0.65) {
   const ln = new THREE.LineSegments(
@@ -85,9 +100,14 @@ function labelSprite(parent, text, x, y, z, hex = '#a0c8e8', scaleW = 32) {
 
 // ── Offsets verticaux ──────────────────────────────────────────────
 const Y_ELEC    =  0;   // Caisse électronique (H=10)
-const Y_FILTR   = 11;   // Filtration 4 étapes + Réservoir
-const Y_PELTIER = 33;   // Module Peltier (place H=22 pour filtration)
-const Y_SORBANT = 50;   // Module Sorbant
+
+// Hauteurs d'empilement par défaut — surchargeables via buildAssemblage(params)
+// params.filtration / .peltier / .sorbant : cotes des couches (registre : uses)
+export const STACK = {
+  yFiltr:   11,   // Filtration 4 étapes + Réservoir
+  yPeltier: 33,   // Module Peltier (place H=22 pour filtration)
+  ySorbant: 50,   // Module Sorbant
+};
 
 // ── Caisse électronique (batterie 12V · ESP32 · Relais · MPPT) ─────
 function buildElec(parent) {
@@ -95,149 +115,203 @@ function buildElec(parent) {
   const EY = EH / 2;
 
   // ── Boîtier acrylique transparent (6 parois fines) ──────────────
+  const boitier = sub(parent, 'Boîtier');
   // Taille intérieure EW×EH×ED, parois T=0.5
   const T = 0.5;
-  const acryl = mat(0xc8dff0, { roughness: 0.04, metalness: 0.00, opacity: 0.13 });
-  const acrylFront = mat(0xc8dff0, { roughness: 0.04, metalness: 0.00, opacity: 0.10 });
+  const acryl = mat(0xc8dff0, { roughness: 0.04, metalness: 0.00, opacity: 0.13, density: 1.19 });
+  const acrylFront = mat(0xc8dff0, { roughness: 0.04, metalness: 0.00, opacity: 0.10, density: 1.19 });
+  const wall = (w, h, d, material, x, y, z, sheet = 'acrylique') => {
+    const m = bx(boitier, w, h, d, material, x, y, z);
+    m.userData.sheet = sheet;
+    return m;
+  };
   // Face avant (z-)
-  edgeLine(parent, bx(parent, EW, EH, T, acrylFront, 0, EY, -ED/2), 0x90a4ae, 0.95);
+  edgeLine(boitier, wall(EW, EH, T, acrylFront, 0, EY, -ED/2), 0x90a4ae, 0.95);
   // Face arrière (z+)
-  edgeLine(parent, bx(parent, EW, EH, T, acryl,      0, EY,  ED/2), 0x90a4ae, 0.70);
+  edgeLine(boitier, wall(EW, EH, T, acryl,      0, EY,  ED/2), 0x90a4ae, 0.70);
   // Face gauche (x-)
-  bx(parent, T, EH, ED, acryl, -EW/2, EY, 0);
+  wall(T, EH, ED, acryl, -EW/2, EY, 0);
   // Face droite (x+)
-  bx(parent, T, EH, ED, acryl,  EW/2, EY, 0);
+  wall(T, EH, ED, acryl,  EW/2, EY, 0);
   // Fond (y=0) — plancher opaque gris anthracite
-  bx(parent, EW, T, ED, mat(0x37474f, { roughness: 0.65, metalness: 0.70 }), 0, T/2, 0);
+  wall(EW, T, ED, mat(0x37474f, { roughness: 0.65, metalness: 0.70, density: 2.7 }), 0, T/2, 0, 'alu');
   // Couvercle (y=EH) — léger
-  bx(parent, EW, T, ED, acryl, 0, EH - T/2, 0);
+  wall(EW, T, ED, acryl, 0, EH - T/2, 0);
+  // Départ câbles vers les modules (face arrière, modules/ports.js)
+  addPort(boitier, 'cable-out', [EW/2 - 6, EY, ED/2 + T/2], { kind: 'cable', dir: [0, 0, 1] });
   // Câble solaire entrant (paroi gauche) → MPPT — visible à travers la vitre
-  const pipeMat = new THREE.MeshStandardMaterial({ color: 0xf4d03f, roughness: 0.5, metalness: 0.4 });
+  const pipeMat = mat(0xf4d03f, { roughness: 0.5, metalness: 0.4, density: 1.5 });
   const solarCurve = new THREE.CatmullRomCurve3([
     new THREE.Vector3(-EW/2 + 1, EY + 2,    2),  // entrée paroi gauche
     new THREE.Vector3(-18,        EY + 2.5,  2),  // borne batterie (+)
     new THREE.Vector3(-10,        EY + 2.5, -4),  // vers centre
     new THREE.Vector3( 4,         EY + 1.5, -7),  // MPPT
   ]);
-  parent.add(new THREE.Mesh(new THREE.TubeGeometry(solarCurve, 12, 0.28, 8, false), pipeMat));
+  const solar = new THREE.Mesh(new THREE.TubeGeometry(solarCurve, 12, 0.28, 8, false), pipeMat);
+  solar.userData.cable = true;
+  boitier.add(solar);
 
+  // ── Composants (batterie, PCB, MPPT, LEDs) ──────────────────────
+  const comp = sub(parent, 'Composants');
   // Batterie 12V 7Ah SLA — côté GAUCHE (même côté que panneau solaire)
-  edgeLine(parent, bx(parent, 15, 8, 6.5,
-    mat(0x1a1a1a, { roughness: 0.88, metalness: 0.05 }),
-    -13, EY, 0), 0x424242, 0.65);
+  const batt = bx(comp, 15, 8, 6.5,
+    mat(0x1a1a1a, { roughness: 0.88, metalness: 0.05, density: 2.2 }),
+    -13, EY, 0);
+  batt.userData.part = 'batterie';
+  edgeLine(comp, batt, 0x424242, 0.65);
   // Bornes batterie (+jaune gauche, -rouge droite)
-  cy(parent, 0.55, 1.0, mat(0xd4af37, { roughness: 0.22, metalness: 0.85 }), -15.5, EH - 0.2, 0, Math.PI/2);
-  cy(parent, 0.55, 1.0, mat(0xc0392b, { roughness: 0.22, metalness: 0.85 }), -10.5, EH - 0.2, 0, Math.PI/2);
+  cy(comp, 0.55, 1.0, mat(0xd4af37, { roughness: 0.22, metalness: 0.85, density: 8.5 }), -15.5, EH - 0.2, 0, Math.PI/2);
+  cy(comp, 0.55, 1.0, mat(0xc0392b, { roughness: 0.22, metalness: 0.85, density: 8.5 }), -10.5, EH - 0.2, 0, Math.PI/2);
 
   // ESP32 + Relais x4 — PCB vert (côté DROIT)
-  edgeLine(parent, bx(parent, 20, 0.35, 13,
-    mat(0x2e7d32, { roughness: 0.65, metalness: 0.15 }),
+  edgeLine(comp, bx(comp, 20, 0.35, 13,
+    mat(0x2e7d32, { roughness: 0.65, metalness: 0.15, density: 1.85 }),
     8, EY + 1.5, 0), 0x388e3c, 0.70);
   // Mini composants relais sur PCB
   for (let i = 0; i < 4; i++)
-    bx(parent, 1.6, 1.2, 1.2,
-      mat(0x01579b, { roughness: 0.55, metalness: 0.30 }),
-      -2 + i * 3.5, EY + 2.4, 2.5);
+    bx(comp, 1.6, 1.2, 1.2,
+      mat(0x01579b, { roughness: 0.55, metalness: 0.30, density: 1.2 }),
+      -2 + i * 3.5, EY + 2.4, 2.5).userData.part = 'relais';
   // ESP32
-  bx(parent, 5.5, 0.4, 3.3,
-    mat(0x37474f, { roughness: 0.55, metalness: 0.50 }),
-    10, EY + 2.3, -3.0);
+  bx(comp, 5.5, 0.4, 3.3,
+    mat(0x37474f, { roughness: 0.55, metalness: 0.50, density: 1.85 }),
+    10, EY + 2.3, -3.0).userData.part = 'esp32';
 
   // MPPT (centre-droit, boîtier rouge)
-  edgeLine(parent, bx(parent, 7, 4.5, 5,
-    mat(0xb71c1c, { roughness: 0.65, metalness: 0.20 }),
-    4, EY, -8), 0xe53935, 0.70);
+  const mppt = bx(comp, 7, 4.5, 5,
+    mat(0xb71c1c, { roughness: 0.65, metalness: 0.20, density: 1.2 }),
+    4, EY, -8);
+  mppt.userData.part = 'mppt';
+  edgeLine(comp, mppt, 0xe53935, 0.70);
 
   // LED status (3 petites LEDs face avant)
   for (let i = 0; i < 3; i++)
-    bx(parent, 0.7, 0.7, 0.3,
+    bx(comp, 0.7, 0.7, 0.3,
       mat([ 0x43a047, 0xfdd835, 0xef5350 ][i],
-          { roughness: 0.10, metalness: 0.00, opacity: 0.95 }),
+          { roughness: 0.10, metalness: 0.00, opacity: 0.95, density: 1.1 }),
       -8 + i * 3.0, EY, -(ED/2 - 0.4));
 
   // Câble sortie charge (vers robinet+pompe, bottom)
-  pipe(parent, [
+  pipe(comp, [
     new THREE.Vector3(0, 0, -14),
     new THREE.Vector3(2, -2, -16),
     new THREE.Vector3(4, -3.5, -18),
-  ], 0.32);
+  ], 0.32).userData.cable = true;
 }
 
 // ── Panneau solaire 50W ─────────────────────────────────────────────
+// Repère local de la caisse électronique (parent = couche 'electronique')
 function buildPanneau(parent) {
-  const PX = -68, PY = Y_ELEC + 8, PZ = 0;
-  edgeLine(parent, bx(parent, 54, 34, 1.5,
-    mat(0xb0bec5, { roughness: 0.40, metalness: 0.80 }),
+  const PX = -68, PY = 8, PZ = 0;
+  // Cadre + cellules + boîtier : un seul composant pour le sélecteur 3D
+  const pv = new THREE.Group();
+  pv.name = 'Panneau solaire';
+  pv.userData.part = 'panneau';
+  parent.add(pv);
+  edgeLine(pv, bx(pv, 54, 34, 1.5,
+    mat(0xb0bec5, { roughness: 0.40, metalness: 0.80, density: 2.7 }),
     PX, PY + 17, PZ), 0x78909c, 0.70);
   // Cellules PV (3×5)
   for (let row = 0; row < 3; row++)
     for (let col = 0; col < 5; col++)
-      bx(parent, 9.5, 6.0, 0.4,
-        mat(0x1a237e, { roughness: 0.15, metalness: 0.20 }),
+      bx(pv, 9.5, 6.0, 0.4,
+        mat(0x1a237e, { roughness: 0.15, metalness: 0.20, density: 2.5 }),
         PX - 18 + col * 10.2, PY + 5 + row * 8.0, PZ - 0.6);
   // Boîtier jonction
-  bx(parent, 5, 2.5, 1.8,
-    mat(0x212121, { roughness: 0.80, metalness: 0.10 }),
+  bx(pv, 5, 2.5, 1.8,
+    mat(0x212121, { roughness: 0.80, metalness: 0.10, density: 1.2 }),
     PX, PY, PZ - 1.2);
   // Câble → MPPT (zone électronique)
   pipe(parent, [
     new THREE.Vector3(PX + 27, PY + 10, PZ),
     new THREE.Vector3(PX + 42, PY + 4, 6),
-    new THREE.Vector3(-22, Y_ELEC + 4, 8),
-    new THREE.Vector3(-22, Y_ELEC + 2, 0),
-  ], 0.35);
+    new THREE.Vector3(-22, 4, 8),
+    new THREE.Vector3(-22, 2, 0),
+  ], 0.35).userData.cable = true;
   // Supports inclinables
   for (const sx of [1, -1])
-    bx(parent, 1.5, 20, 1.5,
-      mat(0x9eaab5, { roughness: 0.50, metalness: 0.70 }),
+    bx(pv, 1.5, 20, 1.5,
+      mat(0x9eaab5, { roughness: 0.50, metalness: 0.70, density: 2.7 }),
       PX + sx * 20, PY + 8, PZ + 0.8,
       0.3, 0, 0);
 }
 
 // ── Réseau eau inter-modules ────────────────────────────────────
 //
-//  Sorbant drain     Peltier drain
-//   (-20,54.4,-21)    (-20,33.85,-24)
+//  Sorbant eau-out    Peltier eau-out        (ports, modules/ports.js)
 //         \                 /
 //          \  descend      /
 //           \ (continue)  /
-//            └──── T ○ ───┘  ← jonction (-24,25,-20)
-//                   |
+//            └──── T ○ ───┘  ← jonction : sous le drain le plus bas,
+//                   |           4 cm à gauche / en retrait
 //                   ↓  collecteur
-//              FM filtration
-//            (-25, 23.5, 0)
+//          Filtration eau-in
 //
-const R_INTER = 0.60;
-
-function buildFluxEau(parent) {
-  // Points de sortie (coordonnées MONDE) dérivés des modules
-  // Sorbant : sx = -HW+5 = -20, local (gutY-14, gutZ-0.5) = (4.4, -21.3)
-  const SX = -20, SY = Y_SORBANT + 4.4, SZ = -21.3;
-  // Peltier : sx = -20, local (gutY-1.6, -HD-4) = (0.85, -24)
-  const PX = -20, PY = Y_PELTIER + 0.85, PZ = -24;
-  // Jonction T
-  const JX = -24, JY = Y_PELTIER - 8, JZ = -20;
-  // Entrée FM filtration (local -25, pipeY=12.5, 0)
-  const FX = -25, FY = Y_FILTR + 12.5, FZ = 0;
-
-  // ─ Tuyau 1 : suite drain Sorbant → jonction T ──────────
-  pipe(parent, [
-    new THREE.Vector3(SX, SY,        SZ),
-    new THREE.Vector3(SX, Y_PELTIER + 8, SZ),   // descend longe le Peltier
-    new THREE.Vector3(SX, PY + 2,    SZ),        // arrive niveau drain Peltier
-    new THREE.Vector3(JX, JY,        JZ),         // rejoint la jonction
-  ], R_INTER);
+// Ports relus dans le repère de parent à chaque construction : le
+// réseau suit cotes et vue éclatée. Points de chaque tuyau dans le sens
+// d'écoulement (userData.water), toujours descendants. Port absent ou
+// injoignable par gravité → tuyau omis et message dans
+// parent.userData.routeErrors (panneau « Interférences »).
+const R_INTER   = 0.60;
+const STUB      = 1.5;  // cm — tronçon droit dans l'axe d'un port
+const T_OFFSET  = 4;    // cm — jonction décalée des drains (x−, z+)
+const T_FALL    = 1.5;  // cm — chute mini sortie T → entrée filtration
 
-  // ─ Tuyau 2 : suite drain Peltier → jonction T ─────────
-  pipe(parent, [
-    new THREE.Vector3(PX, PY, PZ),
-    new THREE.Vector3(PX, PY, JZ + 2),            // longe vers avant
-    new THREE.Vector3(JX, JY, JZ),                // arrive à la jonction
-  ], R_INTER);
+function buildFluxEau(parent, layers) {
+  const errors = [];
+  const port = (name, id) => {
+    try {
+      return getPort(layers[name], id, parent);
+    } catch (e) {
+      errors.push(e.message);
+      return null;
+    }
+  };
+  parent.userData.routeErrors = errors;
+  const S = port('sorbant', 'eau-out');
+  const P = port('peltier', 'eau-out');
+  const F = port('filtration', 'eau-in');
+  if (!F || !(S || P)) return;
+  const stub = (p) => p.position.clone().addScaledVector(p.dir, STUB);
+  const at = (x, y, z) => new THREE.Vector3(x, y, z);
+
+  // Jonction T : entre le drain le plus bas et l'entrée filtration
+  const drains = [S, P].filter(Boolean);
+  const low = drains.reduce((a, b) => (b.position.y < a.position.y ? b : a)).position;
+  const J = at(
+    Math.min(...drains.map((d) => d.position.x)) - T_OFFSET,
+    F.position.y + R_INTER * 3 + T_FALL,
+    low.z + T_OFFSET,
+  );
+  if (J.y + R_INTER * 3 >= low.y) {
+    errors.push(`buildFluxEau : drain à ${low.y.toFixed(1)} cm, sous la jonction T `
+      + `(${(J.y + R_INTER * 3).toFixed(1)} cm) — écoulement gravitaire impossible`);
+    return;
+  }
+
+  // ─ Tuyau 1 : drain Sorbant → jonction T (entrée haute) ──
+  if (S) {
+    pipe(parent, [
+      S.position, stub(S),
+      at(J.x, J.y + R_INTER * 3 + 2, J.z),          // aplomb de la jonction
+      at(J.x, J.y + R_INTER * 3, J.z),
+    ], R_INTER).userData.water = 'condensat';
+  }
+
+  // ─ Tuyau 2 : drain Peltier → jonction T (branche latérale x+) ──
+  if (P) {
+    const end = J.x + R_INTER * 4.5;                // bout de branche
+    pipe(parent, [
+      P.position, stub(P),
+      at(end + 2, J.y + 0.5, J.z),
+      at(end, J.y, J.z),
+    ], R_INTER).userData.water = 'condensat';
+  }
 
   // ─ Fitting en T — 3 manchons cylindriques inox ───────────
-  const fitMat = mat(0xcfd8dc, { roughness: 0.18, metalness: 0.90 });
-  const colMat = mat(0x90a4ae, { roughness: 0.22, metalness: 0.85 });
+  const JX = J.x, JY = J.y, JZ = J.z;
+  const fitMat = mat(0xcfd8dc, { roughness: 0.18, metalness: 0.90, density: 7.9 });
+  const colMat = mat(0x90a4ae, { roughness: 0.22, metalness: 0.85, density: 7.9 });
   const R_FIT = R_INTER * 1.55;  // rayon extérieur du corps
   const R_IN  = R_INTER * 0.85;  // lumière intérieure
   // Corps principal vertical (Sorbant → collecteur)
@@ -268,48 +342,115 @@ function buildFluxEau(parent) {
     mat(0x1a3a4a, { roughness: 0.1, metalness: 0.0, opacity: 0.40 }));
   lum.position.set(JX, JY, JZ); parent.add(lum);
 
-  // ─ Tuyau 3 : collecteur jonction T → entrée FM filtration ─
+  // ─ Tuyau 3 : collecteur jonction T → entrée filtration ─
   pipe(parent, [
-    new THREE.Vector3(JX, JY,      JZ),
-    new THREE.Vector3(FX, FY + 4,  JZ * 0.4),    // monte légèrement pour recadrer
-    new THREE.Vector3(FX, FY,      FZ),           // entrée exacte du FM
-  ], R_INTER);
+    at(JX, JY - R_INTER * 3, JZ),
+    stub(F).setY(F.position.y + 0.1),               // arrive dans l'axe du raccord
+    F.position,
+  ], R_INTER).userData.water = 'condensat';
+}
+
+// ── Vue éclatée ────────────────────────────────────────────────────
+const LAYERS         = ['electronique', 'filtration', 'peltier', 'sorbant'];
+const EXPLODE_GAP    = 28;   // écart vertical ajouté par couche à 100 %
+const EXPLODE_RADIAL = 45;   // déport horizontal à 100 % (option radiale)
+
+/**
+ * Écarte les couches de l'assemblage.
+ * amount : 0 (empilé) → 1 (éclaté) ; radial : 0 → 1, déport horizontal
+ * en étoile (la caisse électronique reste en place).
+ * Le réseau eau est reconstruit entre les ports déplacés.
+ */
+export function setExplode(g, amount, { radial = 0 } = {}) {
+  const layers = {};
+  LAYERS.forEach((name, i) => {
+    const layer = g.getObjectByName(name);
+    const [x, y, z] = layer.userData.stackPos;
+    const a = (i - 1) * (2 * Math.PI / 3) - Math.PI / 2;  // avant, arrière-droite, arrière-gauche
+    const r = i === 0 ? 0 : EXPLODE_RADIAL * radial * amount;
+    layer.position.set(
+      x + Math.cos(a) * r,
+      y + EXPLODE_GAP * i * amount,
+      z + Math.sin(a) * r,
+    );
+    layers[name] = layer;
+  });
+
+  const flux = g.getObjectByName('flux-eau');
+  disposeObject(flux);
+  flux.clear();
+  buildFluxEau(flux, layers);
 }
 
 // ── BUILD PRINCIPAL ────────────────────────────────────────────────
-export function buildAssemblage() {
+export function buildAssemblage(params = {}) {
+  const Y = { ...STACK, ...params };
   const g = new THREE.Group();
   g.name = 'assemblage';
 
-  // ── Caisse électronique (base) ───────────────────────────────
-  buildElec(g);
+  // Couche posée en (0, y, 0) ; stackPos = position empilée (vue éclatée)
+  const layer = (obj, y) => {
+    obj.position.set(0, y, 0);
+    obj.userData.stackPos = [0, y, 0];
+    g.add(obj);
+    return obj;
+  };
+
+  // ── Caisse électronique (base) + panneau solaire câblé dessus ─
+  const elec = layer(new THREE.Group(), Y_ELEC);
+  elec.name = 'electronique';
+  buildElec(elec);
+  buildPanneau(elec);
 
   // ── Filtration + Réservoir ───────────────────────────────────
-  const filtr = buildFiltration();
-  filtr.position.set(0, Y_FILTR, 0);
-  g.add(filtr);
+  const filtr = layer(buildFiltration(params.filtration), Y.yFiltr);
 
   // ── Module Peltier ───────────────────────────────────────────
-  const peltier = buildPeltier();
-  peltier.position.set(0, Y_PELTIER, 0);
-  g.add(peltier);
+  const peltier = layer(buildPeltier(params.peltier), Y.yPeltier);
 
   // ── Module Sorbant ───────────────────────────────────────────
-  const sorbant = buildSorbant();
-  sorbant.position.set(0, Y_SORBANT, 0);
-  g.add(sorbant);
+  const sorbant = layer(buildSorbant(params.sorbant), Y.ySorbant);
 
-  // ── Panneau solaire ──────────────────────────────────────────
-  buildPanneau(g);
+  // Hauteur de chaque couche (viewer/dims.js) — cotes internes des modules masquées
+  for (const l of [elec, filtr, peltier, sorbant]) l.userData.cote = { label: l.name, axis: 'y', side: '+x' };
 
   // ── Flux eau inter-modules (réseau unifié Ø0.60) ────────────
-  buildFluxEau(g);
+  const flux = new THREE.Group();
+  flux.name = 'flux-eau';
+  g.add(flux);
+  buildFluxEau(flux, { sorbant, peltier, filtration: filtr });
 
-  // ── Labels de modules (4 sprites texte) ─────────────────────
-  labelSprite(g, 'SORBANT',               0, Y_SORBANT + 30, 32, '#d4a843');
-  labelSprite(g, 'PELTIER TEC',           0, Y_PELTIER + 22, 32, '#4ab8e8');
-  labelSprite(g, 'FILTRATION + RÉSERVOIR', 0, Y_FILTR  + 22, 28, '#4db6ac', 50);
-  labelSprite(g, 'ÉLECTRONIQUE',           0, Y_ELEC   +  8, 28, '#78909c');
+  // ── Labels de modules (4 sprites texte, suivent leur couche) ─
+  labelSprite(sorbant, 'SORBANT',                0, 30, 32, '#d4a843');
+  labelSprite(peltier, 'PELTIER TEC',            0, 22, 32, '#4ab8e8');
+  labelSprite(filtr,   'FILTRATION + RÉSERVOIR', 0, 22, 28, '#4db6ac', 50);
+  labelSprite(elec,    'ÉLECTRONIQUE',           0,  8, 28, '#78909c');
 
   return g;
 }
+
+registerModule({
+  id: 'assemblage',
+  order: 90,
+  label: 'ASSEMBLAGE',
+  build: buildAssemblage,
+  uses: ['filtration', 'peltier', 'sorbant'],
+  accent: '#0066aa',
+  params: [
+    { key: 'yFiltr',   label: 'Y filtration', min: 10, max: 20, step: 0.5, unit: 'cm', value: STACK.yFiltr },
+    { key: 'yPeltier', label: 'Y Peltier',    min: 28, max: 50, step: 0.5, unit: 'cm', value: STACK.yPeltier },
+    { key: 'ySorbant', label: 'Y Sorbant',    min: 45, max: 75, step: 0.5, unit: 'cm', value: STACK.ySorbant },
+  ],
+  camera: { position: [170, 105, 170], target: [0, 40, 0] },
+  legend: {
+    title: 'LÉGENDE — ASSEMBLAGE COMPLET',
+    items: [
+      { color: '#78909c', text: 'Caisse électronique (batt. 12V · ESP32 · MPPT)' },
+      { color: '#4db6ac', text: 'Filtration 4 étapes + Réservoir 5 L' },
+      { color: '#4ab8e8', text: 'Module Peltier (condensation)' },
+      { color: '#d4a843', text: 'Module Sorbant (CaCl₂ hygroscopique)' },
+      { color: '#f4d03f', text: 'Panneau solaire 50 W (externe)' },
+      { color: '#2e86c1', text: 'Flux condensat inter-modules' },
+    ],
+  },
+});
@@ -0,0 +1,140 @@
+/**
+ * modules/bom.js
+ * Nomenclature (BOM) générée depuis la géométrie d'un module
+ *
+ * Parcourt le groupe construit et agrège :
+ *   composants : objets tagués userData.part (catalogue PARTS) — un
+ *                composant n'est compté qu'une fois (enfants ignorés)
+ *   plaques    : meshes tagués userData.sheet (STOCK) — surface de la
+ *                face principale (normale ∥ plus petite cote), par
+ *                matière ; épaisseur de stock (STOCK.thickness, comme
+ *                modules/mass.js), pas celle de la maquette
+ *   tubes      : TubeGeometry tagué userData.water (tuyau) ou
+ *                userData.cable — longueur de la CatmullRom, par Ø ;
+ *                tubes non tagués (tringle du Sorbant) ignorés
+ *
+ * Lignes : { key, category, ref, designation, qty, unit, price, detail }
+ * key : clé stable pour les prix saisis (id catalogue, 'alu-2mm', 'tuyau-Ø11'…)
+ * Unités d'entrée cm, sorties m / m² / mm.
+ */
+
+import * as THREE from 'three';
+import { PARTS, STOCK } from './parts.js';
+
+const CATEGORIES = ['composant', 'plaque', 'tube'];
+
+const _a = new THREE.Vector3(), _b = new THREE.Vector3(), _c = new THREE.Vector3();
+const _n = new THREE.Vector3();
+
+/** Surface (cm²) d'une face d'une plaque mince + épaisseur (cm) */
+export function sheetArea(geometry) {
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+  const size = geometry.boundingBox.getSize(new THREE.Vector3());
+  const axis = ['x', 'y', 'z'].reduce((m, k) => (size[k] < size[m] ? k : m), 'x');
+  const thin = new THREE.Vector3().setComponent('xyz'.indexOf(axis), 1);
+
+  const pos = geometry.attributes.position;
+  const idx = geometry.index;
+  const tri = idx ? idx.count / 3 : pos.count / 3;
+  let area = 0;
+  for (let i = 0; i < tri; i++) {
+    const [i0, i1, i2] = idx
+      ? [idx.getX(3 * i), idx.getX(3 * i + 1), idx.getX(3 * i + 2)]
+      : [3 * i, 3 * i + 1, 3 * i + 2];
+    _a.fromBufferAttribute(pos, i0);
+    _b.fromBufferAttribute(pos, i1).sub(_a);
+    _c.fromBufferAttribute(pos, i2).sub(_a);
+    _n.crossVectors(_b, _c);
+    const len = _n.length();
+    if (len > 0 && Math.abs(_n.dot(thin)) / len > 0.9) area += len / 2;
+  }
+  return { area: area / 2, thickness: size[axis] };
+}
+
+/** Agrège la nomenclature de root (THREE.Object3D) */
+export function collectBom(root) {
+  const lines = new Map();
+  const add = (key, init, qty, detail) => {
+    const l = lines.get(key) ?? { key, qty: 0, count: 0, ...init };
+    l.qty += qty;
+    l.count++;
+    if (detail) l.detail = detail(l);
+    lines.set(key, l);
+  };
+
+  (function walk(o) {
+    const u = o.userData;
+    if (u.isLabel || u.isHelper) return;
+    if (u.part) {
+      const p = PARTS[u.part];
+      add(u.part, {
+        category: 'composant', ref: p?.ref ?? u.part, designation: p?.name ?? u.part,
+        unit: 'pcs', price: p?.price ?? 0,
+      }, 1);
+      return; // sous-éléments d'un composant non comptés
+    }
+    if (o.isMesh && u.sheet) {
+      const s = STOCK[u.sheet];
+      const { area } = sheetArea(o.geometry);
+      const mm = s.thickness;
+      add(`${u.sheet}-${mm}mm`, {
+        category: 'plaque', ref: `${u.sheet} ${mm} mm`, designation: `${s.name} ${mm} mm`,
+        unit: s.unit, price: s.price,
+      }, area / 1e4, (l) => `${l.count} panneau${l.count > 1 ? 'x' : ''}`);
+    } else if (o.isMesh && o.geometry.type === 'TubeGeometry' && (u.water || u.cable)) {
+      const { path, radius } = o.geometry.parameters;
+      const stock = u.water ? 'tuyau' : 'cable';
+      const dia = Math.round(radius * 20);
+      const s = STOCK[stock];
+      add(`${stock}-Ø${dia}`, {
+        category: 'tube', ref: `${stock} Ø${dia} mm`, designation: `${s.name} Ø${dia} mm`,
+        unit: s.unit, price: s.price,
+      }, path.getLength() / 100, (l) => `${l.count} tronçon${l.count > 1 ? 's' : ''}`);
+    }
+    for (const c of o.children) walk(c);
+  })(root);
+
+  return [...lines.values()]
+    .map(({ count, ...l }) => l)
+    .sort((a, b) =>
+      CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category) ||
+      a.designation.localeCompare(b.designation, 'fr'));
+}
+
+const csvCell = (v) => {
+  const s = String(v);
+  return /[;"\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const num = (v, d) => v.toFixed(d).replace('.', ',');
+
+/**
+ * CSV tableur fr : séparateur « ; », virgule décimale.
+ * prices : { key → prix unitaire } saisis (sinon prix catalogue)
+ */
+export function bomToCsv(lines, prices = {}) {
+  const rows = [['Catégorie', 'Référence', 'Désignation', 'Quantité', 'Unité',
+    'Prix unitaire (€)', 'Total (€)', 'Détail']];
+  let total = 0;
+  for (const l of lines) {
+    const pu = prices[l.key] ?? l.price;
+    total += pu * l.qty;
+    rows.push([l.category, l.ref, l.designation, num(l.qty, l.unit === 'pcs' ? 0 : 3),
+      l.unit, num(pu, 2), num(pu * l.qty, 2), l.detail ?? '']);
+  }
+  rows.push(['', '', 'TOTAL', '', '', '', num(total, 2), '']);
+  return rows.map((r) => r.map(csvCell).join(';')).join('\r\n') + '\r\n';
+}
+
+/** JSON : { scope, currency, lines: [... unitPrice, total], total } */
+export function bomToJson(lines, prices = {}, scope = '') {
+  const out = lines.map(({ price, ...l }) => {
+    const unitPrice = prices[l.key] ?? price;
+    return { ...l, qty: +l.qty.toFixed(4), unitPrice, total: +(unitPrice * l.qty).toFixed(2) };
+  });
+  return JSON.stringify({
+    scope,
+    currency: 'EUR',
+    lines: out,
+    total: +out.reduce((s, l) => s + l.total, 0).toFixed(2),
+  }, null, 2);
+}
@@ -0,0 +1,165 @@
+/**
+ * modules/clearance.js
+ * Interférences et jeux entre pièces d'un module construit
+ *
+ * Paires contrôlées :
+ *   - pièces de modules différents (couches de l'assemblage, réseau
+ *     flux-eau compris) ;
+ *   - tuyaux d'eau (userData.water) contre parois (userData.sheet), y
+ *     compris dans un même module.
+ * Volumes : boîte orientée (OBB) de chaque mesh physique ; tubes
+ * (TubeGeometry) : points de la courbe + rayon. Jeu boîte/boîte :
+ * séparation maximale sur les 15 axes SAT (minorant du jeu réel ;
+ * négatif = pénétration mini). Jeu tube/boîte : distance des points de
+ * la courbe à la boîte − rayon. Les extrémités de tube (raccords) sont
+ * ignorées sur END_CM. Unités : cm.
+ */
+
+import * as THREE from 'three';
+import { OBB } from 'three/addons/math/OBB.js';
+import { isExportable } from './export.js';
+import { PARTS } from './parts.js';
+
+const SAMPLES = 24;    // points par tube
+const END_CM  = 1.5;   // longueur de raccord ignorée à chaque bout de tube
+const _q = new THREE.Vector3();
+const _box = new THREE.Box3();
+
+/** Module d'un objet : enfant direct de l'assemblage (couche, flux-eau), sinon root */
+function moduleOf(o, root, layered) {
+  if (!layered) return root;
+  let top = o;
+  while (top.parent && top.parent !== root) top = top.parent;
+  return top;
+}
+
+/** Libellé : composant catalogue, sinon sous-ensemble nommé (+ matière / eau) */
+function labelOf(o, mod) {
+  let part = null, name = '';
+  for (let p = o; p && p !== mod; p = p.parent) {
+    if (p.userData.part && !part) part = p;
+    if (p.name) name = p.name;
+  }
+  if (part) return `${mod.name} › ${PARTS[part.userData.part]?.name ?? part.userData.part}`;
+  const u = o.userData;
+  const what = u.water ? `tuyau ${u.water}` : u.sheet ?? (u.cable ? 'câble' : '');
+  if (!name) return `${mod.name} › ${what || 'pièce'}`;
+  return `${mod.name} › ${name}${what ? ` (${what})` : ''}`;
+}
+
+/** Pièces contrôlées sous root : { mesh, mod, label, obb | pts + r, box } */
+function collectItems(root) {
+  root.updateMatrixWorld(true);
+  const layered = root.children.some((c) => c.userData.stackPos);
+  const items = [];
+  (function walk(o) {
+    const u = o.userData;
+    if (!o.visible || !isExportable(o) || (u.part && PARTS[u.part]?.external)) return;
+    if (o.isMesh && o.material?.userData?.density) {
+      const mod = moduleOf(o, root, layered);
+      const it = { mesh: o, mod, label: labelOf(o, mod), wall: !!u.sheet, water: !!u.water };
+      if (o.geometry.type === 'TubeGeometry') {
+        const { path, radius } = o.geometry.parameters;
+        const len = path.getLength();
+        const k = Math.min(0.45, END_CM / len);
+        it.r = radius;
+        it.pts = [];
+        for (let i = 0; i <= SAMPLES; i++) {
+          it.pts.push(path.getPointAt(k + (1 - 2 * k) * i / SAMPLES).applyMatrix4(o.matrixWorld));
+        }
+        it.box = new THREE.Box3().setFromPoints(it.pts).expandByScalar(radius);
+      } else {
+        if (!o.geometry.boundingBox) o.geometry.computeBoundingBox();
+        it.obb = new OBB().fromBox3(o.geometry.boundingBox).applyMatrix4(o.matrixWorld);
+        it.box = new THREE.Box3().setFromObject(o);
+      }
+      items.push(it);
+    }
+    for (const c of o.children) walk(c);
+  })(root);
+  return items;
+}
+
+function axes(obb) {
+  const e = obb.rotation.elements;
+  return [0, 1, 2].map((i) => new THREE.Vector3(e[3 * i], e[3 * i + 1], e[3 * i + 2]));
+}
+
+function radius(obb, ax, L) {
+  return ax.reduce((s, a, i) => s + obb.halfSize.getComponent(i) * Math.abs(a.dot(L)), 0);
+}
+
+/**
+ * Jeu entre deux boîtes orientées (cm) : séparation maximale sur les
+ * axes SAT ; ≤ 0 : pénétration (opposé du recouvrement minimal).
+ */
+export function obbGap(a, b) {
+  const A = axes(a), B = axes(b);
+  const d = b.center.clone().sub(a.center);
+  const list = [...A, ...B];
+  for (const u of A) for (const v of B) {
+    const c = u.clone().cross(v);
+    if (c.lengthSq() > 1e-8) list.push(c.normalize());
+  }
+  let gap = -Infinity;
+  for (const L of list) {
+    gap = Math.max(gap, Math.abs(d.dot(L)) - radius(a, A, L) - radius(b, B, L));
+  }
+  return gap;
+}
+
+/** Jeu tube / boîte et points les plus proches (p sur le tube, q sur la boîte) */
+function tubeGap(t, b) {
+  let best = { gap: Infinity };
+  for (const p of t.pts) {
+    b.obb.clampPoint(p, _q);
+    const dist = p.distanceTo(_q) - t.r;
+    if (dist < best.gap) best = { gap: dist, p: p.clone(), q: _q.clone() };
+  }
+  return best;
+}
+
+/** Paire contrôlée ? (modules différents, ou tuyau d'eau / paroi) */
+function checked(a, b) {
+  if (a.pts && b.pts) return false;
+  if (a.mod !== b.mod) return true;
+  return (a.water && b.wall) || (b.water && a.wall);
+}
+
+/**
+ * Interférences et jeux < threshold (cm) sous root.
+ * Renvoie [{ a, b, gap, collision, meshes: [Mesh, Mesh], p, q }] trié par
+ * jeu croissant — une entrée par couple de libellés (pire jeu retenu).
+ */
+export function checkClearance(root, threshold = 0.5) {
+  const items = collectItems(root);
+  const pairs = new Map();
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i], b = items[j];
+      if (!checked(a, b)) continue;
+      if (!_box.copy(a.box).expandByScalar(threshold).intersectsBox(b.box)) continue;
+
+      let r;
+      if (a.pts || b.pts) {
+        const [t, x] = a.pts ? [a, b] : [b, a];
+        r = tubeGap(t, x);
+      } else {
+        r = { gap: obbGap(a.obb, b.obb) };
+        r.p = a.obb.clampPoint(b.obb.center, new THREE.Vector3());
+        r.q = b.obb.clampPoint(r.p, new THREE.Vector3());
+      }
+      if (r.gap >= threshold) continue;
+
+      const [la, lb] = [a.label, b.label].sort();
+      const key = `${la}|${lb}`;
+      const prev = pairs.get(key);
+      if (prev && prev.gap <= r.gap) continue;
+      pairs.set(key, {
+        a: la, b: lb, gap: r.gap, collision: r.gap < 0,
+        meshes: [a.mesh, b.mesh], p: r.p, q: r.q,
+      });
+    }
+  }
+  return [...pairs.values()].sort((x, y) => x.gap - y.gap);
+}
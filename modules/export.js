@@ -0,0 +1,111 @@
+/**
+ * modules/export.js
+ * Export 3D d'un module, de l'assemblage ou d'un composant
+ *
+ *   GLB (glTF binaire) : partage — noms, matériaux PBR, métadonnées
+ *                        (extras : part, réf., plaque, eau, densité), mètres
+ *   STL binaire        : impression — millimètres, Z vers le haut, posé
+ *                        sur le plateau (z = 0) et centré en XY
+ *
+ * L'export travaille sur une copie légère (géométries et matériaux
+ * partagés) d'où sont exclus étiquettes, arêtes, helpers, volumes de
+ * vapeur, flèches de flux et objets masqués. Entrée en cm (1 unit = 1 cm).
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { PARTS } from './parts.js';
+
+/** Objet physique à exporter (false : repère visuel seulement ; visibilité à part) */
+export function isExportable(o) {
+  const u = o.userData;
+  if (u.isLabel || u.isHelper || u.isVapeur || u.isGhost || u.flowCone) return false;
+  return !(o.isLine || o.isPoints || o.isSprite);
+}
+
+/** Métadonnées sérialisables (userData d'origine : canvas, Vector3…) */
+function metadata(o) {
+  const u = o.userData;
+  const out = {};
+  if (u.part) {
+    const p = PARTS[u.part];
+    Object.assign(out, { part: u.part, ref: p?.ref, dims: p?.dims });
+  }
+  if (u.sheet) out.sheet = u.sheet;
+  if (u.water) out.water = u.water;
+  if (u.sensor) out.sensor = u.sensor;
+  return out;
+}
+
+function copyTree(o, top = false) {
+  // racine masquée : module exporté depuis une autre vue
+  if ((!o.visible && !top) || !isExportable(o)) return null;
+  const c = o.isMesh ? new THREE.Mesh(o.geometry, o.material) : new THREE.Group();
+  c.name = o.name || (o.userData.part ? PARTS[o.userData.part]?.name ?? o.userData.part : '');
+  c.position.copy(o.position);
+  c.quaternion.copy(o.quaternion);
+  c.scale.copy(o.scale);
+  c.userData = metadata(o);
+  for (const child of o.children) {
+    const cc = copyTree(child);
+    if (cc) c.add(cc);
+  }
+  // groupe vidé par le filtrage : inutile dans le fichier
+  return c.isMesh || c.children.length ? c : null;
+}
+
+/**
+ * Copie exportable de obj, placée dans sa pose monde (composant
+ * sélectionné à l'intérieur d'un module, vue éclatée…).
+ * Renvoie null si rien d'exportable.
+ */
+export function exportCopy(obj) {
+  obj.updateMatrixWorld(true);
+  const c = copyTree(obj, true);
+  if (!c) return null;
+  obj.matrixWorld.decompose(c.position, c.quaternion, c.scale);
+  return c;
+}
+
+/** Nombre de triangles d'une copie (aperçu avant export) */
+export function triangleCount(copy) {
+  let n = 0;
+  copy.traverse((m) => {
+    if (!m.isMesh) return;
+    const g = m.geometry;
+    n += (g.index ? g.index.count : g.attributes.position.count) / 3;
+  });
+  return n;
+}
+
+/** GLB : ArrayBuffer (promesse). Échelle glTF = mètre */
+export function toGlb(obj, name = obj.name) {
+  const copy = exportCopy(obj);
+  if (!copy) return Promise.reject(new Error('Rien à exporter'));
+  const scene = new THREE.Scene();
+  scene.name = name;
+  const root = new THREE.Group();
+  root.name = name;
+  root.scale.setScalar(0.01); // cm → m
+  root.add(copy);
+  scene.add(root);
+  return new GLTFExporter().parseAsync(scene, { binary: true });
+}
+
+/** STL binaire : DataView. cm → mm, Y-haut → Z-haut, posé sur z = 0 */
+export function toStl(obj) {
+  const copy = exportCopy(obj);
+  if (!copy) throw new Error('Rien à exporter');
+  const plate = new THREE.Group();
+  plate.scale.setScalar(10); // cm → mm
+  plate.rotation.x = Math.PI / 2; // +Y (haut de la scène) → +Z (imprimante)
+  plate.add(copy);
+  plate.updateMatrixWorld(true);
+
+  const box = new THREE.Box3().setFromObject(plate);
+  const c = box.getCenter(new THREE.Vector3());
+  plate.position.set(-c.x, -c.y, -box.min.z);
+  plate.updateMatrixWorld(true);
+  return new STLExporter().parse(plate, { binary: true });
+}
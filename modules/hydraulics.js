@@ -0,0 +1,106 @@
+/**
+ * modules/hydraulics.js
+ * Circuit hydraulique de la filtration relevé sur l'assemblage construit
+ * (entrée du modèle sim/hydraulics.js)
+ *
+ * Tuyaux en série : branche du drain le plus bas → T, collecteur
+ * (réseau flux-eau, reconnus par leurs extrémités aux ports), puis
+ * tuyaux condensat de la filtration. Longueur = courbe, Ø intérieur =
+ * Ø du tube − 2 × TUBE_WALL.
+ * Hauteurs (repère de l'assemblage, ramenées à la vue empilée) :
+ *   source : drain le plus bas (port eau-out Sorbant / Peltier) — niveau
+ *            maxi de l'eau dans le collecteur avant débordement des
+ *            gouttières ;
+ *   outlet : entrée du réservoir (port reservoir-in), sortie libre ;
+ *   crest  : point haut de la chaîne de filtration.
+ * Charge disponible head = source − max(outlet, crest) : tant que l'eau
+ * ne dépasse pas le point haut, rien ne s'écoule (pas d'amorçage).
+ * 1 unit = 1 cm
+ */
+
+import { getPort, listPorts } from './ports.js';
+import { STAGES } from '../sim/hydraulics.js';
+
+const TUBE_WALL = 0.15;   // cm — paroi des tuyaux silicone
+const NEAR_CM   = 0.5;    // cm — extrémité de tuyau raccordée à un port
+
+/** Décalage vertical de la vue éclatée de la couche contenant o */
+function explodeDy(o, root) {
+  for (let p = o; p && p !== root; p = p.parent) {
+    if (p.parent === root && p.userData.stackPos) return p.position.y - p.userData.stackPos[1];
+  }
+  return 0;
+}
+
+/** Tubes condensat sous o */
+function waterTubes(o) {
+  const out = [];
+  o.traverse((m) => {
+    if (m.isMesh && m.userData.water === 'condensat' && m.geometry.parameters?.path) out.push(m);
+  });
+  return out;
+}
+
+/** Points de la courbe d'un tube dans le repère de root */
+function tubePoints(m, root, n = 32) {
+  const toRoot = root.matrixWorld.clone().invert().multiply(m.matrixWorld);
+  return m.geometry.parameters.path.getPoints(n).map((p) => p.applyMatrix4(toRoot));
+}
+
+function tubeEntry(m, label) {
+  const { path, radius } = m.geometry.parameters;
+  return { label, length: path.getLength(), bore: 2 * (radius - TUBE_WALL) };
+}
+
+/**
+ * Circuit de filtration sous root (assemblage, ou module filtration seul :
+ * source absente). Renvoie { stages: [part…], tubes: [{ label, length,
+ * bore }], source: { y, name } | null, outlet, crest, head }.
+ */
+export function filtrationCircuit(root) {
+  const filtr = root.name === 'filtration' ? root : root.getObjectByName('filtration');
+  if (!filtr) throw new Error('filtrationCircuit : module filtration absent');
+  root.updateMatrixWorld(true);
+  const dy = explodeDy(filtr, root);
+
+  const stages = STAGES.map((s) => s.part).filter((part) => {
+    let found = false;
+    filtr.traverse((o) => { if (o.userData.part === part) found = true; });
+    return found;
+  });
+
+  const tubes = [];
+  let crest = -Infinity;
+  for (const m of waterTubes(filtr)) {
+    tubes.push(tubeEntry(m, 'filtration'));
+    for (const p of tubePoints(m, root)) crest = Math.max(crest, p.y - dy);
+  }
+  const outlet = getPort(filtr, 'reservoir-in', root).position.y - dy;
+
+  // Drains amont : le plus bas fixe le niveau maxi dans le collecteur
+  let low = null;
+  for (const name of ['sorbant', 'peltier']) {
+    const layer = root.getObjectByName(name);
+    if (!layer || !listPorts(layer).some((p) => p.id === 'eau-out')) continue;
+    const pos = getPort(layer, 'eau-out', root).position;
+    const y = pos.y - explodeDy(layer, root);
+    if (!low || y < low.y) low = { y, name, pos };
+  }
+
+  // Réseau flux-eau : branche du drain le plus bas + collecteur
+  const flux = root.getObjectByName('flux-eau');
+  if (flux && low) {
+    const inlet = getPort(filtr, 'eau-in', root).position;
+    for (const m of waterTubes(flux)) {
+      const pts = tubePoints(m, root, 1);
+      if (pts[0].distanceTo(low.pos) < NEAR_CM) tubes.push(tubeEntry(m, `branche ${low.name}`));
+      else if (pts[1].distanceTo(inlet) < NEAR_CM) tubes.push(tubeEntry(m, 'collecteur'));
+    }
+  }
+
+  const source = low && { y: low.y, name: low.name };
+  return {
+    stages, tubes, source, outlet, crest,
+    head: source ? source.y - Math.max(outlet, crest) : -Infinity,
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * modules/mass.js
+ * Bilan de masse, centre de gravité et stabilité d'un module construit
+ *
+ * Masse de chaque mesh :
+ *   composant (userData.part) : masse catalogue PARTS.mass, au centre
+ *                               des volumes de ses meshes
+ *   plaque (userData.sheet)   : surface × épaisseur réelle STOCK × densité
+ *                               (les parois de la maquette sont épaissies)
+ *   tube (TubeGeometry)       : π r² L × densité apparente du matériau
+ *   autre                     : volume fermé × material.userData.density
+ * density = 0 : volume visuel (vapeur, parois de cuve, étiquettes) ignoré.
+ * L'eau du réservoir suit son niveau (mesh userData.tank, scale.y).
+ *
+ * Stabilité : appui = rectangle XZ des meshes pesants touchant le sol
+ * (tubes et câbles exclus) ; angle de basculement vers chaque bord
+ * θ = atan(distance CdG → bord / hauteur CdG). Unités : cm, g, °.
+ */
+
+import * as THREE from 'three';
+import { PARTS, STOCK } from './parts.js';
+import { sheetArea } from './bom.js';
+
+const DEG = 180 / Math.PI;
+const CONTACT_CM = 0.5;    // tolérance d'appui au-dessus du point le plus bas
+
+// ── Intégrales géométriques (repère local), calculées une fois ──
+const cache = new WeakMap();
+const _a = new THREE.Vector3(), _b = new THREE.Vector3(), _c = new THREE.Vector3();
+
+/**
+ * Volume (cm³) et centroïde local d'une géométrie.
+ * Maillage fermé : somme des tétraèdres signés (origine, triangle).
+ * TubeGeometry (ouverte) : cylindre plein π r² L le long de la courbe.
+ */
+export function geometryVolume(geo) {
+  let v = cache.get(geo);
+  if (v) return v;
+
+  if (geo.type === 'TubeGeometry') {
+    const { path, radius } = geo.parameters;
+    const pts = path.getSpacedPoints(32);
+    const c = pts.reduce((s, p) => s.add(p), new THREE.Vector3()).divideScalar(pts.length);
+    v = { volume: Math.PI * radius * radius * path.getLength(), centroid: c };
+  } else {
+    const pos = geo.attributes.position;
+    const idx = geo.index;
+    const tri = pos ? (idx ? idx.count : pos.count) / 3 : 0;
+    let vol = 0;
+    const c = new THREE.Vector3();
+    for (let i = 0; i < tri; i++) {
+      const [i0, i1, i2] = idx
+        ? [idx.getX(3 * i), idx.getX(3 * i + 1), idx.getX(3 * i + 2)]
+        : [3 * i, 3 * i + 1, 3 * i + 2];
+      _a.fromBufferAttribute(pos, i0);
+      _b.fromBufferAttribute(pos, i1);
+      _c.fromBufferAttribute(pos, i2);
+      const dv = _a.dot(_b.clone().cross(_c)) / 6;
+      vol += dv;
+      c.addScaledVector(_a.add(_b).add(_c), dv / 4);
+    }
+    if (Math.abs(vol) > 1e-9) c.divideScalar(vol);
+    else geo.boundingBox ? geo.boundingBox.getCenter(c) : c.set(0, 0, 0);
+    v = { volume: Math.abs(vol), centroid: c };
+  }
+  cache.set(geo, v);
+  return v;
+}
+
+/** Volume monde et centroïde monde d'un mesh (échelle incluse) */
+function meshVolume(m) {
+  const { volume, centroid } = geometryVolume(m.geometry);
+  return {
+    volume: volume * Math.abs(m.matrixWorld.determinant()),
+    centroid: centroid.clone().applyMatrix4(m.matrixWorld),
+  };
+}
+
+function meshMass(m) {
+  const u = m.userData;
+  const rho = m.material?.userData?.density;
+  if (!rho) return null;
+  const { volume, centroid } = meshVolume(m);
+  if (u.sheet && STOCK[u.sheet]?.thickness) {
+    const s = STOCK[u.sheet];
+    return { mass: sheetArea(m.geometry).area * (s.thickness / 10) * s.density, centroid };
+  }
+  return { mass: volume * rho, centroid };
+}
+
+/** Nom du sous-ensemble : premier ancêtre nommé sous root */
+function groupName(o, root) {
+  let name = root.name;
+  for (let p = o; p && p !== root; p = p.parent) if (p.name) name = p.name;
+  return name;
+}
+
+/**
+ * Bilan de masse de root (coordonnées monde).
+ * Renvoie { total, cog, water, groups: [{ name, mass }], external: [{ name, mass }], unweighed }
+ */
+export function massReport(root) {
+  root.updateMatrixWorld(true);
+  const groups = new Map();
+  const external = [];
+  const moment = new THREE.Vector3();
+  let total = 0, water = 0, unweighed = 0;
+
+  const addMass = (o, mass, centroid) => {
+    const name = groupName(o, root);
+    groups.set(name, (groups.get(name) ?? 0) + mass);
+    moment.addScaledVector(centroid, mass);
+    total += mass;
+  };
+
+  (function walk(o) {
+    const u = o.userData;
+    if (u.isHelper || u.isLabel) return;
+
+    if (u.part) {
+      const p = PARTS[u.part];
+      // centre : volumes des meshes du composant ; masse : catalogue
+      const c = new THREE.Vector3();
+      let vol = 0, dens = 0;
+      o.traverse((m) => {
+        if (!m.isMesh || m.userData.isHelper) return;
+        const v = meshVolume(m);
+        c.addScaledVector(v.centroid, v.volume);
+        vol += v.volume;
+        dens += v.volume * (m.material?.userData?.density ?? 0);
+      });
+      if (vol > 0) c.divideScalar(vol);
+      const mass = p?.mass ?? dens;
+      if (p?.external) external.push({ name: p.name, mass });
+      else addMass(o, mass, c);
+      return;
+    }
+
+    if (o.isMesh) {
+      const r = meshMass(o);
+      if (r) {
+        addMass(o, r.mass, r.centroid);
+        if (u.tank) water += r.mass;
+      } else if (o.material?.userData?.density === undefined) unweighed++;
+    }
+    for (const c of o.children) walk(c);
+  })(root);
+
+  return {
+    total,
+    cog: total > 0 ? moment.divideScalar(total) : null,
+    water,
+    groups: [...groups].map(([name, mass]) => ({ name, mass })),
+    external,
+    unweighed,
+  };
+}
+
+/** Meshes pesants hors tubes / câbles / composants externes */
+function bearingMeshes(root) {
+  const out = [];
+  (function walk(o) {
+    const u = o.userData;
+    if (u.isHelper || u.isLabel || (u.part && PARTS[u.part]?.external)) return;
+    if (o.isMesh && o.material?.userData?.density && o.geometry.type !== 'TubeGeometry') out.push(o);
+    for (const c of o.children) walk(c);
+  })(root);
+  return out;
+}
+
+/**
+ * Appui au sol et angles de basculement pour un CdG donné.
+ * Renvoie { footprint: { xMin, xMax, zMin, zMax, y }, height, edges: [{ side, angle }], min }
+ * angle < 0 : CdG hors de l'appui (basculement immédiat)
+ */
+export function stability(root, cog) {
+  const meshes = bearingMeshes(root);
+  const boxes = meshes.map((m) => new THREE.Box3().setFromObject(m, true));
+  const y = Math.min(...boxes.map((b) => b.min.y));
+  const fp = new THREE.Box3();
+  boxes.forEach((b) => { if (b.min.y <= y + CONTACT_CM) fp.union(b); });
+
+  const height = cog.y - y;
+  const edges = [
+    { side: 'gauche (x−)',  d: cog.x - fp.min.x },
+    { side: 'droite (x+)',  d: fp.max.x - cog.x },
+    { side: 'avant (z−)',   d: cog.z - fp.min.z },
+    { side: 'arrière (z+)', d: fp.max.z - cog.z },
+  ].map(({ side, d }) => ({ side, angle: Math.atan2(d, height) * DEG }));
+
+  return {
+    footprint: { xMin: fp.min.x, xMax: fp.max.x, zMin: fp.min.z, zMax: fp.max.z, y },
+    height,
+    edges,
+    min: edges.reduce((m, e) => (e.angle < m.angle ? e : m)),
+  };
+}
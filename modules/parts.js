@@ -0,0 +1,204 @@
+/**
+ * modules/parts.js
+ * Catalogue des composants — AQUA-ATMOS
+ *
+ * Les meshes principaux portent userData.part = clé de PARTS ;
+ * le sélecteur 3D (ui/inspect.js) remonte à l'ancêtre étiqueté et
+ * affiche la fiche : référence, dimensions, caractéristiques
+ * électriques et rôle dans le système.
+ *
+ * Dimensions réelles du composant (mm) — la maquette 3D peut les
+ * agrandir pour la lisibilité. price : prix unitaire indicatif (€ TTC),
+ * modifiable dans le panneau nomenclature (ui/bom.js). mass : g, remplace
+ * le volume maquette × densité dans le bilan de masse (modules/mass.js) ;
+ * external : hors de l'unité (exclu du centre de gravité).
+ *
+ * STOCK : matières au m² (plaques taguées userData.sheet) et au mètre
+ * (tubes TubeGeometry tagués userData.water ou userData.cable ; les autres
+ * tubes — tringle du Sorbant — ne sont pas facturés). Plaques :
+ * masse = surface × épaisseur réelle (mm) × densité (g/cm³).
+ */
+
+import { HCSR04 } from '../sim/tank.js';
+
+export const PARTS = {
+  'tec1-12706': {
+    ref:  'TEC1-12706',
+    name: 'Module Peltier',
+    dims: '40 × 40 × 3,8 mm',
+    elec: '12 V nominal (16,4 V max) · 6,4 A max · 1,97 Ω',
+    role: 'Face froide sous le point de rosée → condensation (voie Peltier, × 4).',
+    price: 4.5,
+    mass: 22,
+  },
+  'ventilateur': {
+    ref:  'Ventilateur 50 mm 12 V',
+    name: 'Ventilateur intérieur',
+    dims: '50 × 50 × 10 mm',
+    elec: '12 V · 1,8 W · 5000 tr/min · 17 m³/h',
+    role: 'Brasse l\'air humide sur les faces froides (relais ventilateurs).',
+    price: 3.9,
+    mass: 25,
+  },
+  'dht22': {
+    ref:  'DHT22 / AM2302',
+    name: 'Capteur température + humidité',
+    dims: '25 × 15 × 7,7 mm',
+    elec: '3,3–6 V · 1,5 mA · ±0,5 °C · ±2 % HR',
+    role: 'Ambiance extérieure et air sous vitre → psychrométrie, rendement.',
+    price: 4.2,
+    mass: 2.4,
+  },
+  'ds18b20': {
+    ref:  'DS18B20 étanche',
+    name: 'Sonde de température 1-Wire',
+    dims: 'Ø 6 × 50 mm, câble 1 m',
+    elec: '3–5,5 V · 1 mA · ±0,5 °C',
+    role: 'Température du lit de CaCl₂ → régulation de la nappe chauffante.',
+    price: 2.5,
+    mass: 15,
+  },
+  'servo': {
+    ref:  'SG90 / MG90S',
+    name: 'Servomoteur',
+    dims: '23 × 12 × 29 mm',
+    elec: '5 V · 250 mA (pic 700 mA)',
+    role: 'Ouvre la vitre et les volets (adsorption la nuit, désorption le jour).',
+    price: 3.5,
+    mass: 13,
+  },
+  'nappe': {
+    ref:  'Nappe silicone 12 V',
+    name: 'Nappe chauffante',
+    dims: '400 × 300 mm',
+    elec: '12 V · 40 W',
+    role: 'Chauffe le sel le jour → désorption de la vapeur.',
+    price: 14,
+    mass: 180,
+  },
+  'reservoir': {
+    ref:  'Cuve PET alimentaire 5 L',
+    name: 'Réservoir',
+    dims: '220 × 150 × 150 mm',
+    elec: '—',
+    role: 'Stocke l\'eau filtrée ; niveau lu par le HC-SR04, robinet en façade.',
+    price: 8,
+    mass: 350,
+  },
+  'yf-s201': {
+    ref:  'YF-S201',
+    name: 'Débitmètre à effet Hall',
+    dims: 'G½" · 60 × 35 × 26 mm',
+    elec: '5–18 V · 15 mA · 1–30 L/min',
+    role: 'Mesure le volume entrant dans la filtration.',
+    price: 6.5,
+    mass: 43,
+  },
+  'tds': {
+    ref:  'TDS Meter v1.0',
+    name: 'Sonde de conductivité (TDS)',
+    dims: 'Ø 8 × 60 mm (sonde)',
+    elec: '3,3–5,5 V · 3–6 mA · 0–1000 ppm',
+    role: 'Contrôle la minéralisation de l\'eau produite.',
+    price: 9.9,
+    mass: 30,
+  },
+  'filtre-5um': {
+    ref:  'Cartouche PP 5 µm',
+    name: 'Filtre sédiments',
+    dims: 'Ø 32 × 90 mm (mini)',
+    elec: '—',
+    role: 'Étape 1 : retient poussières et particules > 5 µm.',
+    price: 4,
+    mass: 200,
+  },
+  'filtre-charbon': {
+    ref:  'Cartouche charbon actif GAC',
+    name: 'Filtre charbon actif',
+    dims: 'Ø 32 × 90 mm (mini)',
+    elec: '—',
+    role: 'Étape 2 : adsorbe COV, odeurs et goûts.',
+    price: 5.5,
+    mass: 260,
+  },
+  'filtre-calcite': {
+    ref:  'Cartouche calcite CaCO₃',
+    name: 'Filtre reminéralisant',
+    dims: 'Ø 32 × 90 mm (mini)',
+    elec: '—',
+    role: 'Étape 3 : remonte le pH et reminéralise l\'eau condensée.',
+    price: 6,
+    mass: 320,
+  },
+  'uvc': {
+    ref:  'UV-C LED 275 nm inline',
+    name: 'Stérilisateur UV-C',
+    dims: 'Ø 24 × 65 mm',
+    elec: '12 V · 2 W',
+    role: 'Étape 4 : désinfection avant stockage.',
+    price: 18,
+    mass: 90,
+  },
+  'hcsr04': {
+    ref:  'HC-SR04',
+    name: 'Capteur de niveau ultrasonique',
+    dims: '45 × 20 × 15 mm',
+    elec: `5 V · 15 mA · ${HCSR04.minCm}–${HCSR04.maxCm} cm`,
+    role: 'Distance à la surface → niveau du réservoir, alarme trop-plein.',
+    price: 2.2,
+    mass: 9,
+  },
+  'esp32': {
+    ref:  'ESP32-WROOM-32',
+    name: 'Microcontrôleur',
+    dims: '54 × 28 mm (DevKit)',
+    elec: '3,3 V · 80–240 mA',
+    role: 'Firmware : capteurs, relais, servo, OLED, menu BTN1/BTN2.',
+    price: 7.5,
+    mass: 10,
+  },
+  'relais': {
+    ref:  'SRD-05VDC-SL-C (module 1 voie)',
+    name: 'Relais 5 V',
+    dims: '19 × 15,5 × 15 mm',
+    elec: 'Bobine 5 V · 70 mA · contact 10 A / 30 V DC',
+    role: 'Commute TECs, nappe, ventilateurs et UV-C.',
+    price: 1.6,
+    mass: 12,
+  },
+  'mppt': {
+    ref:  'Régulateur MPPT 12 V 10 A',
+    name: 'Régulateur de charge',
+    dims: '70 × 45 × 50 mm',
+    elec: 'Entrée PV ≤ 22 V · 10 A · rendement 94 %',
+    role: 'Suit le point de puissance max du panneau, charge la batterie.',
+    price: 24,
+    mass: 180,
+  },
+  'batterie': {
+    ref:  'SLA 12 V 7 Ah',
+    name: 'Batterie plomb étanche',
+    dims: '151 × 65 × 94 mm · 2,1 kg',
+    elec: '12 V · 7 Ah (84 Wh, 50 % utiles)',
+    role: 'Stocke l\'excédent solaire, alimente la nuit.',
+    price: 22,
+    mass: 2100,
+  },
+  'panneau': {
+    ref:  'Panneau monocristallin 50 Wc',
+    name: 'Panneau solaire',
+    dims: '540 × 340 × 25 mm',
+    elec: 'Vmp 18 V · Imp 2,8 A · Voc 21,6 V',
+    role: 'Unique source d\'énergie du système.',
+    price: 45,
+    mass: 4500,
+    external: true, // posé à côté de l'unité, relié par câble
+  },
+};
+
+export const STOCK = {
+  acrylique: { name: 'Plaque acrylique (PMMA)',    unit: 'm²', price: 45, thickness: 3, density: 1.19 },
+  alu:       { name: 'Tôle aluminium',             unit: 'm²', price: 38, thickness: 2, density: 2.7 },
+  tuyau:     { name: 'Tuyau silicone alimentaire', unit: 'm',  price: 2.8 },
+  cable:     { name: 'Câble 2 × 1,5 mm²',          unit: 'm',  price: 1.2 },
+};
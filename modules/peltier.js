@@ -21,19 +21,24 @@
  */
 
 import * as THREE from "three";
+import { registerModule } from "./registry.js";
+import { addPort } from "./ports.js";
 
-// ── Dimensions ─────────────────────────────────────
-const W = 50,
-  D = 40,
-  H = 15;
-const HW = W / 2,
-  HD = D / 2;
-const T = 2.0;
+// ── Dimensions par défaut (surchargeables via buildPeltier(params)) ──
+export const PELTIER_DIMS = {
+  W: 50, // largeur
+  D: 40, // profondeur
+  H: 15, // hauteur parois
+  T: 2.0, // épaisseur parois / plancher
+};
 
 // ── Matériaux ──────────────────────────────────────
-function mat(color, { roughness = 0.7, metalness = 0.1, opacity = 1 } = {}) {
+function mat(
+  color,
+  { roughness = 0.7, metalness = 0.1, opacity = 1, density = 0 } = {},
+) {
   const t = opacity < 0.99;
-  return new THREE.MeshStandardMaterial({
+  const m = new THREE.MeshStandardMaterial({
     color,
     roughness,
     metalness,
@@ -41,27 +46,38 @@ function mat(color, { roughness = 0.7, metalness = 0.1, opacity = 1 } = {}) {
     transparent: t,
     side: t ? THREE.DoubleSide : THREE.FrontSide,
   });
+  m.userData.density = density; // g/cm³ — 0 : ignoré par le bilan de masse
+  return m;
 }
 
+// density : g/cm³ apparente (bilan de masse, modules/mass.js)
 const M = {
-  boitier: () => mat(0xc0cace, { roughness: 0.28, metalness: 0.88 }), // alu brossé
+  boitier: () => mat(0xc0cace, { roughness: 0.28, metalness: 0.88, density: 2.7 }), // alu brossé
   coldFace: () =>
-    mat(0x1a7fd4, { roughness: 0.05, metalness: 0.30 }), // bleu Peltier opaque vif
-  hotFace: () => mat(0x3a1a00, { roughness: 0.55, metalness: 0.10 }), // céramique noire (face chaude)
-  tec: () => mat(0xffffff, { roughness: 0.38, metalness: 0.18 }), // céramique blanche brillante
-  fin: () => mat(0xd4dfe8, { roughness: 0.15, metalness: 0.92 }), // alu poli
-  fan: () => mat(0x1a2030, { roughness: 0.6, metalness: 0.3 }),
-  fanBlade: () => mat(0x5590cc, { roughness: 0.40, metalness: 0.35 }), // pales bleues
+    mat(0x1a7fd4, { roughness: 0.05, metalness: 0.30, density: 2.7 }), // bleu Peltier opaque vif
+  hotFace: () => mat(0x3a1a00, { roughness: 0.55, metalness: 0.10, density: 3.7 }), // céramique noire (face chaude)
+  tec: () => mat(0xffffff, { roughness: 0.38, metalness: 0.18, density: 3.7 }), // céramique blanche brillante
+  fin: () => mat(0xd4dfe8, { roughness: 0.15, metalness: 0.92, density: 2.7 }), // alu poli
+  fan: () => mat(0x1a2030, { roughness: 0.6, metalness: 0.3, density: 1.2 }),
+  fanBlade: () => mat(0x5590cc, { roughness: 0.40, metalness: 0.35, density: 1.2 }), // pales bleues
   vapeur: () =>
-    mat(0x7ad4f0, { roughness: 0.0, metalness: 0.0, opacity: 0.05 }),
-  floor: () => mat(0x8e9ca8, { roughness: 0.38, metalness: 0.80 }), // alu satiné
-  canal: () => mat(0x1f8ec2, { roughness: 0.4, metalness: 0.55 }),
+    mat(0x7ad4f0, { roughness: 0.0, metalness: 0.0, opacity: 0.05, density: 0 }),
+  floor: () => mat(0x8e9ca8, { roughness: 0.38, metalness: 0.80, density: 2.7 }), // alu satiné
+  canal: () => mat(0x1f8ec2, { roughness: 0.4, metalness: 0.55, density: 0.3 }), // bac mince
   tuyau: () =>
-    mat(0x2e86c1, { roughness: 0.45, metalness: 0.50, opacity: 0.85 }), // bleu sorbant
-  iso: () => mat(0x5a4a30, { roughness: 0.97, metalness: 0.0 }),
+    mat(0x2e86c1, { roughness: 0.45, metalness: 0.50, opacity: 0.85, density: 0.6 }), // bleu sorbant
+  iso: () => mat(0x5a4a30, { roughness: 0.97, metalness: 0.0, density: 0.05 }),
 };
 
 // ── Helpers ────────────────────────────────────────
+// Sous-ensemble du caisson (Structure, TEC, Ailettes, Ventilateurs…)
+function sub(parent, name) {
+  const s = new THREE.Group();
+  s.name = name;
+  parent.add(s);
+  return s;
+}
+
 function addM(parent, geo, material) {
   const m = new THREE.Mesh(geo, material);
   m.castShadow = m.receiveShadow = true;
@@ -155,19 +171,30 @@ function annotate(parent, from, to, num, hexColor = "#a0c8e8") {
 }
 
 // ── BUILD ──────────────────────────────────────────
-export function buildPeltier() {
+export function buildPeltier(params = {}) {
+  const { W, D, H, T } = { ...PELTIER_DIMS, ...params };
+  const HW = W / 2,
+    HD = D / 2;
+
   const g = new THREE.Group();
   g.name = "peltier";
 
   // ─── 1. STRUCTURE : plancher + 3 parois (avant + haut ouverts) ──
-  const base = bx(g, W, T, D, M.floor(), 0, T / 2, 0);
-  edgeLine(g, base, 0x809ab0, 0.55);
+  const struct = sub(g, "Structure");
+  const base = bx(struct, W, T, D, M.floor(), 0, T / 2, 0);
+  base.userData.sheet = "alu";
+  edgeLine(struct, base, 0x809ab0, 0.55);
 
-  bx(g, W, H, T, M.boitier(), 0, H / 2, HD); // arrière
-  bx(g, T, H, D, M.boitier(), -HW + T / 2, H / 2, 0); // gauche
-  bx(g, T, H, D, M.boitier(), HW - T / 2, H / 2, 0); // droite
+  bx(struct, W, H, T, M.boitier(), 0, H / 2, HD).userData.sheet = "alu"; // arrière
+  // passe-câble TEC + ventilateurs (face extérieure arrière)
+  addPort(struct, "cable-in", [HW - 6, H / 2, HD + T / 2], { kind: "cable", dir: [0, 0, 1] });
+  const left = bx(struct, T, H, D, M.boitier(), -HW + T / 2, H / 2, 0); // gauche
+  left.userData.sheet = "alu";
+  left.userData.cote = { label: "H paroi", axis: "y", side: "-x" }; // viewer/dims.js
+  bx(struct, T, H, D, M.boitier(), HW - T / 2, H / 2, 0).userData.sheet = "alu"; // droite
 
   // ─── 2. TECs DANS LES PAROIS LATÉRALES (2 par côté) ──
+  const tecs = sub(g, "TEC");
   const tecSz = 5.5;  // agrandi pour visibilité
   const tecT  = 1.4;
   const tecY = T + H * 0.38;
@@ -175,27 +202,32 @@ export function buildPeltier() {
 
   for (const tz of tecZs) {
     // Gauche — corps TEC
-    const tl = bx(g, tecT, tecSz, tecSz, M.tec(), -HW + T / 2, tecY, tz);
-    edgeLine(g, tl, 0xff6020, 1.0);
+    const tl = bx(tecs, tecT, tecSz, tecSz, M.tec(), -HW + T / 2, tecY, tz);
+    tl.userData.part = "tec1-12706";
+    edgeLine(tecs, tl, 0xff6020, 1.0);
     // Face froide : plaque bleue sur la surface INTÉRIEURE de la paroi, visible depuis la chambre
-    const cfl = bx(g, 0.30, tecSz, tecSz, M.coldFace(), -HW + T + 0.15, tecY, tz);
-    edgeLine(g, cfl, 0x1a7fd4, 1.0);
+    const cfl = bx(tecs, 0.30, tecSz, tecSz, M.coldFace(), -HW + T + 0.15, tecY, tz);
+    cfl.userData.isColdFace = true;
+    edgeLine(tecs, cfl, 0x1a7fd4, 1.0);
     // Face chaude (extérieur gauche)
-    bx(g, 0.25, tecSz, tecSz, M.hotFace(), -HW + 0.12, tecY, tz);
+    bx(tecs, 0.25, tecSz, tecSz, M.hotFace(), -HW + 0.12, tecY, tz);
     // Joint iso
-    bx(g, 0.5, tecSz + 0.5, tecSz + 0.5, M.iso(), -HW + T + 0.5, tecY, tz);
+    bx(tecs, 0.5, tecSz + 0.5, tecSz + 0.5, M.iso(), -HW + T + 0.5, tecY, tz);
 
     // Droite (symétrique)
-    const tr = bx(g, tecT, tecSz, tecSz, M.tec(), HW - T / 2, tecY, tz);
-    edgeLine(g, tr, 0xff6020, 1.0);
+    const tr = bx(tecs, tecT, tecSz, tecSz, M.tec(), HW - T / 2, tecY, tz);
+    tr.userData.part = "tec1-12706";
+    edgeLine(tecs, tr, 0xff6020, 1.0);
     // Face froide : plaque bleue sur la surface INTÉRIEURE de la paroi, visible depuis la chambre
-    const cfr = bx(g, 0.30, tecSz, tecSz, M.coldFace(), HW - T - 0.15, tecY, tz);
-    edgeLine(g, cfr, 0x1a7fd4, 1.0);
-    bx(g, 0.25, tecSz, tecSz, M.hotFace(), HW - 0.12, tecY, tz);
-    bx(g, 0.5, tecSz + 0.5, tecSz + 0.5, M.iso(), HW - T - 0.5, tecY, tz);
+    const cfr = bx(tecs, 0.30, tecSz, tecSz, M.coldFace(), HW - T - 0.15, tecY, tz);
+    cfr.userData.isColdFace = true;
+    edgeLine(tecs, cfr, 0x1a7fd4, 1.0);
+    bx(tecs, 0.25, tecSz, tecSz, M.hotFace(), HW - 0.12, tecY, tz);
+    bx(tecs, 0.5, tecSz + 0.5, tecSz + 0.5, M.iso(), HW - T - 0.5, tecY, tz);
   }
 
   // ─── 3. FINS DE DISSIPATION EXTÉRIEURES ──────────
+  const fins = sub(g, "Ailettes");
   const N_FIN = 10;
   const finLen = H * 0.65;
   const finBaseY = T + H * 0.18;
@@ -203,7 +235,7 @@ export function buildPeltier() {
   for (let i = 0; i < N_FIN; i++) {
     const zf = -HD + finStep * (i + 0.5);
     bx(
-      g,
+      fins,
       finLen,
       0.28,
       0.28,
@@ -216,7 +248,7 @@ export function buildPeltier() {
       Math.PI / 2,
     );
     bx(
-      g,
+      fins,
       finLen,
       0.28,
       0.28,
@@ -229,10 +261,11 @@ export function buildPeltier() {
       Math.PI / 2,
     );
   }
-  bx(g, 0.5, finLen, D, M.fin(), -(HW + 0.35), finBaseY + finLen / 2, 0);
-  bx(g, 0.5, finLen, D, M.fin(), HW + 0.35, finBaseY + finLen / 2, 0);
+  bx(fins, 0.5, finLen, D, M.fin(), -(HW + 0.35), finBaseY + finLen / 2, 0);
+  bx(fins, 0.5, finLen, D, M.fin(), HW + 0.35, finBaseY + finLen / 2, 0);
 
   // ─── 4. VENTILATEURS INTÉRIEURS — petits fans électriques avec pales courbées ─
+  const fans = sub(g, "Ventilateurs");
   // Posés sur le plancher de la chambre, collés aux parois latérales
   // Axe X = axe de rotation → souffle vers le centre
   const ifR  = 2.8;                 // rayon cadre ≈ 56 mm
@@ -243,17 +276,30 @@ export function buildPeltier() {
   const arrowMat = new THREE.MeshStandardMaterial({
     color: 0x60c0ee, opacity: 0.60, transparent: true, depthTest: false,
   });
+  arrowMat.userData.density = 0; // flèches : hors bilan de masse
 
   for (const sX of [-1, 1]) {
     const fx = sX * ifX;
 
+    // ── Ventilateur complet (cadre, rotor, socle) = un composant
+    const fan = new THREE.Group();
+    fan.userData.part = "ventilateur";
+    fans.add(fan);
+
     // ── Cadre annulaire du fan (axe X)
-    cy(g, ifR + 0.65, 1.1, M.fan(), fx, ifY, ifZ, 0, Math.PI / 2);
-    cy(g, ifR + 0.65, 0.28, M.fan(), fx - sX * 0.58, ifY, ifZ, 0, Math.PI / 2); // collerette avant
-    cy(g, ifR + 0.65, 0.28, M.fan(), fx + sX * 0.58, ifY, ifZ, 0, Math.PI / 2); // collerette arrière
+    cy(fan, ifR + 0.65, 1.1, M.fan(), fx, ifY, ifZ, 0, Math.PI / 2);
+    cy(fan, ifR + 0.65, 0.28, M.fan(), fx - sX * 0.58, ifY, ifZ, 0, Math.PI / 2); // collerette avant
+    cy(fan, ifR + 0.65, 0.28, M.fan(), fx + sX * 0.58, ifY, ifZ, 0, Math.PI / 2); // collerette arrière
+
+    // ── Rotor (moyeu + pales) : groupe centré sur l'axe, tourne autour de X
+    // (viewer/fans.js — sens de rotation selon le côté)
+    const rotor = new THREE.Group();
+    rotor.position.set(fx, ifY, ifZ);
+    rotor.userData.fanRotor = { dir: sX };
+    fan.add(rotor);
 
     // ── Moyeu
-    cy(g, 0.52, 1.6, M.fan(), fx, ifY, ifZ, 0, Math.PI / 2);
+    cy(rotor, 0.52, 1.6, M.fan(), 0, 0, 0, 0, Math.PI / 2);
 
     // ── 6 pales courbées : root + tip décalés angulairement
     for (let i = 0; i < 6; i++) {
@@ -261,48 +307,54 @@ export function buildPeltier() {
       const sk = 0.52; // courbure
 
       // Segment root (près du moyeu)
-      const pr = addM(g, new THREE.BoxGeometry(0.88, 1.05, 0.20), M.fanBlade());
-      pr.position.set(fx, ifY + Math.cos(a) * 1.05, ifZ + Math.sin(a) * 1.05);
+      const pr = addM(rotor, new THREE.BoxGeometry(0.88, 1.05, 0.20), M.fanBlade());
+      pr.position.set(0, Math.cos(a) * 1.05, Math.sin(a) * 1.05);
       pr.rotation.x = a + 0.28;
       pr.castShadow = false;
 
       // Segment tip (bout de pale, décalé = effet courbure)
-      const pt = addM(g, new THREE.BoxGeometry(0.72, 0.98, 0.18), M.fanBlade());
-      pt.position.set(fx, ifY + Math.cos(a + sk) * 1.88, ifZ + Math.sin(a + sk) * 1.88);
+      const pt = addM(rotor, new THREE.BoxGeometry(0.72, 0.98, 0.18), M.fanBlade());
+      pt.position.set(0, Math.cos(a + sk) * 1.88, Math.sin(a + sk) * 1.88);
       pt.rotation.x = a + sk + 0.44;
       pt.castShadow = false;
     }
 
     // ── Socle (base plate sur le plancher)
-    bx(g, 1.5, 0.45, ifR * 2 + 1.2, M.fan(), fx, T + 0.22, ifZ);
+    bx(fan, 1.5, 0.45, ifR * 2 + 1.2, M.fan(), fx, T + 0.22, ifZ);
 
     // ── Deux montants reliant la base au cadre
     const legH = ifY - T - 0.45;
     const legY = T + 0.45 + legH / 2;
-    bx(g, 0.95, legH, 0.50, M.fan(), fx, legY, ifZ - ifR + 0.3);
-    bx(g, 0.95, legH, 0.50, M.fan(), fx, legY, ifZ + ifR - 0.3);
+    bx(fan, 0.95, legH, 0.50, M.fan(), fx, legY, ifZ - ifR + 0.3);
+    bx(fan, 0.95, legH, 0.50, M.fan(), fx, legY, ifZ + ifR - 0.3);
 
     // ── Flèches de flux vers le centre
     for (const dz of [-ifR * 0.65, 0, ifR * 0.65]) {
-      const cone = addM(g, new THREE.ConeGeometry(0.50, 1.9, 8), arrowMat);
+      const cone = addM(fans, new THREE.ConeGeometry(0.50, 1.9, 8), arrowMat);
       cone.position.set(fx - sX * (ifR + 2.0), ifY, dz);
       cone.rotation.z = sX * Math.PI / 2;
       cone.castShadow = false;
+      // pulsation selon le débit d'air (viewer/fans.js)
+      cone.userData.flowCone = { base: cone.position.clone(), dir: -sX };
     }
   }
 
   // ─── 5. ESPACE VAPEUR INTÉRIEUR (bleu fantôme) ────
-  bx(g, W - T * 2, H - 1.5, D - T * 2, M.vapeur(), 0, T + (H - 1.5) / 2, 0);
+  const air = sub(g, "Volume vapeur");
+  const vap = bx(air, W - T * 2, H - 1.5, D - T * 2, M.vapeur(), 0, T + (H - 1.5) / 2, 0);
+  vap.userData.isGhost = true; // volume d'air, exclu de l'export 3D
+  vap.userData.cote = { label: "intérieur", axis: "x", side: "+y" };
 
   // ─── 6. GOUTTIÈRE PLANCHER + TUYAU ────────────────
+  const gutter = sub(g, "Gouttière");
   const gutW = W - T * 2;
   const gutY = T + 0.45;
   const gutZ = 0;
-  const gout = bx(g, gutW, 0.85, D - T * 2, M.canal(), 0, gutY, gutZ);
-  edgeLine(g, gout, 0x3bc8f8, 0.55);
+  const gout = bx(gutter, gutW, 0.85, D - T * 2, M.canal(), 0, gutY, gutZ);
+  edgeLine(gutter, gout, 0x3bc8f8, 0.55);
   // Pente légère vers tuyau gauche
   bx(
-    g,
+    gutter,
     gutW / 2,
     0.18,
     D - T * 2 - 0.5,
@@ -320,8 +372,58 @@ export function buildPeltier() {
       new THREE.Vector3(sx, gutY - 0.8, -HD - 1),
       new THREE.Vector3(sx, gutY - 1.6, -HD - 4),
     ]);
-    addM(g, new THREE.TubeGeometry(curve, 8, 0.60, 10, false), M.tuyau());
+    const tube = addM(gutter, new THREE.TubeGeometry(curve, 8, 0.60, 10, false), M.tuyau());
+    tube.userData.water = "condensat"; // sens gouttière → sortie
+    // raccord du réseau eau de l'assemblage (modules/ports.js)
+    addPort(gutter, "eau-out", curve.getPoint(1), { dir: curve.getTangent(1) });
   }
 
   return g;
 }
+
+// ── Couleur des faces froides selon Tc (sim/tec.js) ──
+const COLD_WARM = new THREE.Color(0x8c9aa8); // ≥ 30 °C : alu tiède
+const COLD_BLUE = new THREE.Color(0x1a7fd4); // ~ 0 °C : bleu Peltier
+const COLD_FROST = new THREE.Color(0xeef7ff); // < 0 °C : givre
+
+/** Teinte les faces froides (userData.isColdFace) de root d'après solveTec() */
+export function applyPeltierState(root, result) {
+  if (!root || !result) return;
+  const k = THREE.MathUtils.clamp((30 - result.Tc) / 30, 0, 1);
+  root.traverse((o) => {
+    if (!o.userData.isColdFace) return;
+    if (result.frost) {
+      o.material.color.copy(COLD_FROST);
+      o.material.roughness = 0.9;
+    } else {
+      o.material.color.copy(COLD_WARM).lerp(COLD_BLUE, k);
+      o.material.roughness = 0.05;
+    }
+  });
+}
+
+registerModule({
+  id: "peltier",
+  order: 10,
+  label: "MODULE PELTIER",
+  build: buildPeltier,
+  accent: "#1a7fd4",
+  params: [
+    { key: "W", label: "Largeur", min: 36, max: 80, step: 1, unit: "cm", value: PELTIER_DIMS.W },
+    { key: "D", label: "Profondeur", min: 28, max: 60, step: 1, unit: "cm", value: PELTIER_DIMS.D },
+    { key: "H", label: "Hauteur parois", min: 10, max: 30, step: 0.5, unit: "cm", value: PELTIER_DIMS.H },
+    { key: "T", label: "Épaisseur parois", min: 1, max: 4, step: 0.1, unit: "cm", value: PELTIER_DIMS.T },
+  ],
+  camera: { position: [95, 55, 95], target: [0, 7, 0] },
+  legend: {
+    title: "LÉGENDE — PELTIER",
+    items: [
+      { num: "1", color: "#4ab8e8", text: "Face froide TEC (condensation)" },
+      { num: "2", color: "#2a6090", text: "TEC1-12706" },
+      { num: "3", color: "#7a6548", text: "Joint isolation thermique" },
+      { num: "4", color: "#8aaabb", text: "Fins de dissipation alu" },
+      { num: "5", color: "#5590cc", text: "Ventilateur intérieur (pales courbées)" },
+      { num: "6", color: "#1f8ec2", text: "Goutttière plancher + tuyau" },
+    ],
+  },
+});
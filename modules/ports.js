@@ -0,0 +1,65 @@
+/**
+ * modules/ports.js
+ * Ports de raccordement des modules — ancres nommées eau / câble
+ *
+ * Chaque builder pose ses ports avec addPort() dans le repère de la
+ * pièce qui les porte : ils suivent cotes, sous-ensembles et vue
+ * éclatée. L'assemblage les retrouve par getPort() et y raccorde ses
+ * tuyaux (buildFluxEau) au lieu de coordonnées figées.
+ *   id   : 'eau-out' (drain, robinet), 'eau-in', 'reservoir-in', 'cable-in'…
+ *   kind : 'eau' | 'cable'
+ *   dir  : sens de sortie du raccord, hors de la pièce (repère local)
+ * Un port est un Object3D vide (aucune géométrie) : ignoré par le
+ * picking, l'export, la masse et les cotes.
+ */
+
+import * as THREE from 'three';
+
+/** Pose un port sur parent (pos, dir : Vector3 ou [x, y, z], repère local) */
+export function addPort(parent, id, pos, { kind = 'eau', dir = [0, -1, 0] } = {}) {
+  const o = new THREE.Object3D();
+  o.position.copy(Array.isArray(pos) ? new THREE.Vector3(...pos) : pos);
+  const d = Array.isArray(dir) ? new THREE.Vector3(...dir) : dir.clone();
+  o.userData.port = { id, kind, dir: d.normalize() };
+  parent.add(o);
+  return o;
+}
+
+/** Ports posés sous root : [{ id, kind, object }] */
+export function listPorts(root) {
+  const out = [];
+  root?.traverse((o) => {
+    if (o.userData.port) out.push({ ...o.userData.port, object: o });
+  });
+  return out;
+}
+
+/**
+ * Port id de root, exprimé dans le repère de frame (défaut : monde).
+ * Renvoie { id, kind, position, dir } ; lève une erreur si root ou le
+ * port est absent.
+ */
+export function getPort(root, id, frame = null) {
+  if (!root) throw new Error(`getPort : module absent (port "${id}")`);
+  const p = listPorts(root).find((q) => q.id === id);
+  if (!p) throw new Error(`getPort : port "${id}" absent du module ${root.name}`);
+  p.object.updateWorldMatrix(true, false);
+  const position = p.object.getWorldPosition(new THREE.Vector3());
+  const dir = p.dir.clone().transformDirection(p.object.matrixWorld);
+  if (frame) {
+    frame.updateWorldMatrix(true, false);
+    frame.worldToLocal(position);
+    const inv = new THREE.Matrix4().copy(frame.matrixWorld).invert();
+    dir.transformDirection(inv);
+  }
+  return { id, kind: p.kind, position, dir };
+}
+
+/** Erreurs de raccordement relevées sous root (userData.routeErrors) */
+export function routeErrors(root) {
+  const out = [];
+  root?.traverse((o) => {
+    if (o.userData.routeErrors) out.push(...o.userData.routeErrors);
+  });
+  return out;
+}
@@ -0,0 +1,52 @@
+/**
+ * modules/registry.js
+ * Registre des modules affichables — AQUA-ATMOS
+ *
+ * Chaque fichier modules/*.js déclare son module via registerModule() :
+ *   id        : clé interne (data-mod, légende, switchModule)
+ *   order     : position dans le switcher (croissant)
+ *   label     : texte du bouton
+ *   build     : (params) => THREE.Group
+ *   accent    : couleur CSS du bouton actif
+ *   legend    : { title, items: [{ num?, color, text }] }
+ *               num absent → pastille carrée (légende par blocs)
+ *   camera    : { position: [x,y,z], target: [x,y,z] }
+ *   params    : cotes éditables [{ key, label, min, max, step, unit, value, scope? }]
+ *               → build(params) les reçoit (voir ui/params.js)
+ *   uses      : ids des modules embarqués (assemblage) → build reçoit
+ *               aussi leurs cotes courantes dans params[id]
+ *
+ * main.js génère boutons, légendes et presets caméra depuis ce registre.
+ */
+
+export const DEFAULT_CAMERA = { position: [95, 55, 95], target: [0, 7, 0] };
+
+const registry = new Map();
+
+export function registerModule(def) {
+  if (!def || !def.id || typeof def.build !== 'function') {
+    throw new Error('registerModule : id et build() sont obligatoires');
+  }
+  if (registry.has(def.id)) {
+    throw new Error(`registerModule : module "${def.id}" déjà enregistré`);
+  }
+  registry.set(def.id, {
+    order: registry.size,
+    label: def.id.toUpperCase(),
+    accent: '#0066aa',
+    legend: null,
+    camera: DEFAULT_CAMERA,
+    params: [],
+    uses: [],
+    ...def,
+  });
+}
+
+export function getModule(id) {
+  return registry.get(id);
+}
+
+/** Modules triés par `order` */
+export function listModules() {
+  return [...registry.values()].sort((a, b) => a.order - b.order);
+}
@@ -10,42 +10,56 @@
  *   Câblage discret
  *
  * Cotes : base W=70  D=42  — 1 unit = 1 cm
+ * La cuve 5 L (TANK, buildTank) est partagée avec modules/filtration.js
  */
 
 import * as THREE from 'three';
+import { registerModule } from './registry.js';
+import { addPort } from './ports.js';
 
 // ── Matériaux ──────────────────────────────────────
-function mat(color, { roughness = 0.7, metalness = 0.1, opacity = 1 } = {}) {
+function mat(color, { roughness = 0.7, metalness = 0.1, opacity = 1, density = 0 } = {}) {
   const t = opacity < 0.99;
-  return new THREE.MeshStandardMaterial({
+  const m = new THREE.MeshStandardMaterial({
     color, roughness, metalness, opacity, transparent: t,
     side: t ? THREE.DoubleSide : THREE.FrontSide,
   });
+  m.userData.density = density; // g/cm³ — 0 : ignoré par le bilan de masse
+  return m;
 }
 
+// density : g/cm³ apparente — parois de cuve à 0 (masse catalogue, parts.js)
 const M = {
-  base:     () => mat(0x9eaab5, { roughness: 0.55, metalness: 0.65 }), // plaque alu
-  cloison:  () => mat(0x78909c, { roughness: 0.50, metalness: 0.60 }),
-  reservoir:() => mat(0x80cbc4, { roughness: 0.08, metalness: 0.05, opacity: 0.38 }), // vert-bleu transparent
-  reserWall:() => mat(0x4db6ac, { roughness: 0.12, metalness: 0.08, opacity: 0.55 }),
-  eau:      () => mat(0x1565c0, { roughness: 0.00, metalness: 0.00, opacity: 0.28 }), // eau
-  hcsr04:   () => mat(0x1565c0, { roughness: 0.60, metalness: 0.15 }), // PCB bleu sensor
-  transdc:  () => mat(0xf5f5f5, { roughness: 0.70, metalness: 0.05 }), // transducteur blanc
-  batterie: () => mat(0x1a1a1a, { roughness: 0.80, metalness: 0.10 }), // batterie noire
-  batLabel: () => mat(0xe53935, { roughness: 0.95, metalness: 0.00 }), // étiquette rouge
-  batPol:   () => mat(0xd4af37, { roughness: 0.25, metalness: 0.85 }), // bornes dorées
-  pcb:      () => mat(0x1b5e20, { roughness: 0.75, metalness: 0.10 }), // PCB vert
-  esp32:    () => mat(0x1565c0, { roughness: 0.60, metalness: 0.12 }), // ESP32 bleu
-  relais:   () => mat(0x0d47a1, { roughness: 0.55, metalness: 0.15 }), // relais bleu foncé
-  mppt:     () => mat(0xb71c1c, { roughness: 0.60, metalness: 0.15 }), // MPPT rouge
-  robinet:  () => mat(0xc0c0c0, { roughness: 0.28, metalness: 0.80 }), // chrome
-  tuyau:    () => mat(0x2e86c1, { roughness: 0.45, metalness: 0.50, opacity: 0.88 }),
-  cable:    () => mat(0x212121, { roughness: 0.95, metalness: 0.00, opacity: 0.80 }),
-  cableRed: () => mat(0xc62828, { roughness: 0.95, metalness: 0.00, opacity: 0.80 }),
-  led:      () => mat(0x76ff03, { roughness: 0.20, metalness: 0.00, opacity: 0.90 }),
+  base:     () => mat(0x9eaab5, { roughness: 0.55, metalness: 0.65, density: 2.7 }), // plaque alu
+  cloison:  () => mat(0x78909c, { roughness: 0.50, metalness: 0.60, density: 2.7 }),
+  reservoir:() => mat(0x80cbc4, { roughness: 0.08, metalness: 0.05, opacity: 0.38, density: 0 }), // vert-bleu transparent
+  reserWall:() => mat(0x4db6ac, { roughness: 0.12, metalness: 0.08, opacity: 0.55, density: 0 }),
+  eau:      () => mat(0x1565c0, { roughness: 0.00, metalness: 0.00, opacity: 0.28, density: 1.0 }), // eau
+  hcsr04:   () => mat(0x1565c0, { roughness: 0.60, metalness: 0.15, density: 1.85 }), // PCB bleu sensor
+  transdc:  () => mat(0xf5f5f5, { roughness: 0.70, metalness: 0.05, density: 1.0 }), // transducteur blanc
+  batterie: () => mat(0x1a1a1a, { roughness: 0.80, metalness: 0.10, density: 2.2 }), // batterie noire
+  batLabel: () => mat(0xe53935, { roughness: 0.95, metalness: 0.00, density: 0 }), // étiquette rouge
+  batPol:   () => mat(0xd4af37, { roughness: 0.25, metalness: 0.85, density: 8.5 }), // bornes dorées
+  pcb:      () => mat(0x1b5e20, { roughness: 0.75, metalness: 0.10, density: 1.85 }), // PCB vert
+  esp32:    () => mat(0x1565c0, { roughness: 0.60, metalness: 0.12, density: 1.85 }), // ESP32 bleu
+  relais:   () => mat(0x0d47a1, { roughness: 0.55, metalness: 0.15, density: 1.2 }), // relais bleu foncé
+  mppt:     () => mat(0xb71c1c, { roughness: 0.60, metalness: 0.15, density: 1.2 }), // MPPT rouge
+  robinet:  () => mat(0xc0c0c0, { roughness: 0.28, metalness: 0.80, density: 8.5 }), // chrome
+  tuyau:    () => mat(0x2e86c1, { roughness: 0.45, metalness: 0.50, opacity: 0.88, density: 0.6 }),
+  cable:    () => mat(0x212121, { roughness: 0.95, metalness: 0.00, opacity: 0.80, density: 1.5 }),
+  cableRed: () => mat(0xc62828, { roughness: 0.95, metalness: 0.00, opacity: 0.80, density: 1.5 }),
+  led:      () => mat(0x76ff03, { roughness: 0.20, metalness: 0.00, opacity: 0.90, density: 1.1 }),
 };
 
 // ── Helpers ────────────────────────────────────────
+// Cuve, robinet, batterie, électronique ou câblage de la base
+function sub(parent, name) {
+  const s = new THREE.Group();
+  s.name = name;
+  parent.add(s);
+  return s;
+}
+
 function addM(parent, geo, material) {
   const m = new THREE.Mesh(geo, material);
   m.castShadow = m.receiveShadow = true;
@@ -64,7 +78,7 @@ function cy(parent, r, h, material, x = 0, y = 0, z = 0, rx = 0, rz = 0) {
 
 function pipe(parent, points, r = 0.7, mat_fn = M.tuyau) {
   const curve = new THREE.CatmullRomCurve3(points);
-  addM(parent, new THREE.TubeGeometry(curve, 12, r, 10, false), mat_fn());
+  return addM(parent, new THREE.TubeGeometry(curve, 12, r, 10, false), mat_fn());
 }
 
 function edgeLine(parent, m, color, op = 0.65) {
@@ -103,131 +117,204 @@ function annotate(parent, from, to, num, hexColor = '#a0c8e8') {
   parent.add(sp);
 }
 
+// ── Réservoir 5 L partagé ──────────────────────────
+// 22 × 15 × 15 cm ≈ 4 950 cm³ ≈ 5 L — même pièce dans la vue FILTRATION
+// outlet : axe du robinet au-dessus du fond (vidange, alarme vide : sim/tank.js)
+export const TANK = { W: 22, H: 15, D: 15, fill: 0.65, outlet: 2.5 };
+
+// Cotes de cuve éditables — scope 'tank' : partagées RÉSERVOIR / FILTRATION
+export const TANK_PARAMS = [
+  { scope: 'tank', key: 'W', label: 'Cuve — largeur',    min: 14, max: 30, step: 0.5, unit: 'cm', value: TANK.W },
+  { scope: 'tank', key: 'H', label: 'Cuve — hauteur',    min: 10, max: 20, step: 0.5, unit: 'cm', value: TANK.H },
+  { scope: 'tank', key: 'D', label: 'Cuve — profondeur', min: 10, max: 16, step: 0.5, unit: 'cm', value: TANK.D },
+];
+
+/**
+ * Cuve 5 L + couvercle + capteur HC-SR04, posée en (x, y, z) = centre du fond.
+ * Utilisée par buildReservoir() et buildFiltration().
+ */
+export function buildTank(parent, x, y, z, { W: RW, H: RH, D: RD, outlet = TANK.outlet } = TANK) {
+
+  // Parois transparentes reservoir
+  bx(parent, RW, RH, RD, M.reservoir(), x, y + RH / 2, z);
+  const wall = bx(parent, RW, RH, RD, M.reserWall(), x, y + RH / 2, z);
+  wall.userData.part = 'reservoir';
+  wall.userData.cote = [ // viewer/dims.js
+    { label: 'cuve W', axis: 'x', side: '+y' },
+    { label: 'cuve H', axis: 'y', side: '+x' },
+    { label: 'cuve D', axis: 'z', side: '+y' },
+  ];
+  edgeLine(parent, wall, 0x26a69a, 0.70);
+
+  // Niveau eau — boîte de hauteur 1 posée sur le fond, scale.y = hauteur d'eau
+  // (applyTankLevel) ; le capteur est référencé pour la lecture HC-SR04
+  const watH = RH * TANK.fill;
+  const eauGeo = new THREE.BoxGeometry(RW - 0.4, 1, RD - 0.4).translate(0, 0.5, 0);
+  const eau = addM(parent, eauGeo, M.eau());
+  eau.position.set(x, y, z);
+  eau.scale.y = watH;
+
+  // Couvercle
+  const lid = bx(parent, RW, 0.6, RD, M.cloison(), x, y + RH + 0.3, z);
+  edgeLine(parent, lid, 0x546e7a, 0.6);
+
+  // HC-SR04 (capteur niveau) — décalé pour laisser le raccord d'entrée libre
+  const sX = x + 3, sY = y + RH + 0.6;
+  const hcb = bx(parent, 4.5, 0.4, 2.0, M.hcsr04(), sX, sY + 0.2, z);
+  hcb.userData.sensor = 'hcsr04';
+  hcb.userData.part = 'hcsr04';
+  edgeLine(parent, hcb, 0x0d47a1, 0.75);
+  // Deux transducteurs ultrasoniques
+  for (const tz of [-0.7, 0.7]) {
+    cy(parent, 0.85, 1.2, M.transdc(), sX - 1.0, sY + 1.2, z + tz);
+    cy(parent, 0.85, 1.2, M.transdc(), sX + 1.0, sY + 1.2, z + tz);
+  }
+
+  eau.userData.tank = { W: RW, H: RH, D: RD, outlet, sensor: hcb };
+
+  return { x, y, z, W: RW, H: RH, D: RD, outlet, watH, sensorX: sX, sensorY: sY };
+}
+
+/**
+ * Ajuste l'eau de toutes les cuves de root au niveau `level` (0…1).
+ * Renvoie la première cuve trouvée : { W, H, D, outlet, distance } — distance
+ * face émettrice du HC-SR04 (dessous du PCB) → surface de l'eau, en cm.
+ * Cuve vide : eau masquée par son matériau, o.visible reste à
+ * l'arborescence (viewer/outliner.js).
+ */
+export function applyTankLevel(root, level) {
+  let out = null;
+  root?.traverse((o) => {
+    const t = o.userData.tank;
+    if (!t) return;
+    o.scale.y = Math.max(1e-3, t.H * level);
+    o.material.visible = level > 0;
+    if (out) return;
+    const face = t.sensor.position.y - t.sensor.geometry.parameters.height / 2;
+    out = { W: t.W, H: t.H, D: t.D, outlet: t.outlet, distance: face - (o.position.y + t.H * level) };
+  });
+  return out;
+}
+
 // ── BUILD ──────────────────────────────────────────
-export function buildReservoir() {
+export const RESERVOIR_DIMS = { baseW: 70, baseD: 42 };
+
+export function buildReservoir(params = {}) {
+  const { baseW: BASE_W, baseD: BASE_D } = { ...RESERVOIR_DIMS, ...params };
+  const tankDims = { ...TANK, ...params.tank };
+
   const g = new THREE.Group();
   g.name = 'reservoir';
 
   // ─── 1. BASE (fond de la zone basse) ──────────
-  const BASE_W = 70, BASE_D = 42, BASE_T = 1.5;
-  const base = bx(g, BASE_W, BASE_T, BASE_D, M.base(), 0, BASE_T / 2, 0);
-  edgeLine(g, base, 0x546e7a, 0.55);
+  const socle = sub(g, 'Base');
+  const BASE_T = 1.5;
+  const base = bx(socle, BASE_W, BASE_T, BASE_D, M.base(), 0, BASE_T / 2, 0);
+  base.userData.sheet = 'alu';
+  edgeLine(socle, base, 0x546e7a, 0.55);
 
   // Bords latéraux bas
-  bx(g, BASE_T, 5, BASE_D, M.cloison(), -BASE_W / 2 + BASE_T / 2, 2.5 + BASE_T, 0);
-  bx(g, BASE_T, 5, BASE_D, M.cloison(),  BASE_W / 2 - BASE_T / 2, 2.5 + BASE_T, 0);
+  bx(socle, BASE_T, 5, BASE_D, M.cloison(), -BASE_W / 2 + BASE_T / 2, 2.5 + BASE_T, 0).userData.sheet = 'alu';
+  bx(socle, BASE_T, 5, BASE_D, M.cloison(),  BASE_W / 2 - BASE_T / 2, 2.5 + BASE_T, 0).userData.sheet = 'alu';
 
-  // ─── 2. RÉSERVOIR 5 L ────────────────────────
-  // 22 × 15 × 15 cm ≈ 4 950 cm³ ≈ 5 L
+  // ─── 2. RÉSERVOIR 5 L + 3. HC-SR04 ──────────────
+  const cuve = sub(g, 'Cuve');
   const RX = 14, RY = BASE_T + 0.5;
-  const RW = 22, RH = 15, RD = 15;
-
-  // Parois transparentes reservoir
-  bx(g, RW, RH, RD, M.reservoir(), RX, RY + RH / 2, 0);
-  edgeLine(g, bx(g, RW, RH, RD, M.reserWall(), RX, RY + RH / 2, 0), 0x26a69a, 0.70);
-
-  // Niveau eau (65% plein)
-  const watH = RH * 0.65;
-  bx(g, RW - 0.4, watH, RD - 0.4, M.eau(), RX, RY + watH / 2, 0);
+  const tank = buildTank(cuve, RX, RY, 0, tankDims);
+  const { W: RW, H: RH, D: RD, watH } = tank;
 
-  // Couvercle
-  const lid = bx(g, RW, 0.6, RD, M.cloison(), RX, RY + RH + 0.3, 0);
-  edgeLine(g, lid, 0x546e7a, 0.6);
-
-  // ─── 3. HC-SR04 (capteur niveau) ──────────────
-  const sX = RX, sY = RY + RH + 0.6;
-  // PCB capteur
-  const hcb = bx(g, 4.5, 0.4, 2.0, M.hcsr04(), sX, sY + 0.2, 0);
-  edgeLine(g, hcb, 0x0d47a1, 0.75);
-  // Deux transducteurs ultrasoniques
-  for (const tz of [-0.7, 0.7]) {
-    cy(g, 0.85, 1.2, M.transdc(), sX - 1.0, sY + 1.2, tz);
-    cy(g, 0.85, 1.2, M.transdc(), sX + 1.0, sY + 1.2, tz);
-  }
   // Câble capteur
-  pipe(g, [
+  const sX = tank.sensorX, sY = tank.sensorY;
+  pipe(cuve, [
     new THREE.Vector3(sX + 2.3, sY + 0.5, 0),
     new THREE.Vector3(sX + 5, sY + 2, -3),
     new THREE.Vector3(sX + 8, sY + 1, -6),
-  ], 0.2, M.cable);
+  ], 0.2, M.cable).userData.cable = true;
 
   // ─── 4. ROBINET DE SORTIE ─────────────────────
+  const rob = sub(g, 'Robinet');
   const robX = RX + RW / 2 + 0.5;
-  const robY = RY + 2.5;
+  const robY = RY + tank.outlet;
   // Corps robinet
-  cy(g, 1.0, 3.5, M.robinet(), robX, robY, 0, 0, Math.PI / 2);
-  edgeLine(g,
-    addM(g, new THREE.CylinderGeometry(1.0, 1.0, 3.5, 16), M.robinet()),
-    0x808080, 0.6
-  );
+  edgeLine(rob, cy(rob, 1.0, 3.5, M.robinet(), robX, robY, 0, 0, Math.PI / 2), 0x808080, 0.6);
   // Poignée quart de tour
-  bx(g, 0.6, 4.5, 0.6, M.robinet(), robX + 0.5, robY + 1.8, 0, 0, 0, 0.4);
-  // Sortie tuyau
-  pipe(g, [
+  bx(rob, 0.6, 4.5, 0.6, M.robinet(), robX + 0.5, robY + 1.8, 0, 0, 0, 0.4);
+  // Sortie tuyau (eau tirée — voir viewer/flow.js)
+  const sortie = pipe(rob, [
     new THREE.Vector3(robX + 1.8, robY, 0),
     new THREE.Vector3(robX + 4, robY - 1.5, 0),
     new THREE.Vector3(robX + 5, robY - 3.5, 0),
   ]);
+  sortie.userData.water = 'robinet';
+  const out = sortie.geometry.parameters.path;
+  addPort(rob, 'eau-out', out.getPoint(1), { dir: out.getTangent(1) });
 
   // ─── 5. BATTERIE 12V 7Ah ──────────────────────
+  const bat = sub(g, 'Batterie');
   // Dimensions standard : 15.1 × 6.5 × 9.4 cm
   const BX = -22, BY = BASE_T + 0.5;
-  const batt = bx(g, 15.1, 9.4, 6.5, M.batterie(), BX, BY + 9.4 / 2, 0);
-  edgeLine(g, batt, 0x333333, 0.70);
+  const batt = bx(bat, 15.1, 9.4, 6.5, M.batterie(), BX, BY + 9.4 / 2, 0);
+  batt.userData.part = 'batterie';
+  edgeLine(bat, batt, 0x333333, 0.70);
   // Étiquette rouge
-  bx(g, 13, 5, 0.25, M.batLabel(), BX, BY + 7.5, -3.26);
+  bx(bat, 13, 5, 0.25, M.batLabel(), BX, BY + 7.5, -3.26);
   // Bornes +/-
-  cy(g, 0.55, 1.2, M.batPol(), BX - 4.0, BY + 9.4 + 0.6, 0);
-  cy(g, 0.55, 1.2, M.batPol(), BX + 4.0, BY + 9.4 + 0.6, 0);
+  cy(bat, 0.55, 1.2, M.batPol(), BX - 4.0, BY + 9.4 + 0.6, 0);
+  cy(bat, 0.55, 1.2, M.batPol(), BX + 4.0, BY + 9.4 + 0.6, 0);
   // Écrous de borne
   for (const bz of [-4.0, 4.0]) {
-    cy(g, 0.9, 0.5, M.batPol(), BX + bz, BY + 9.4 + 1.5, 0);
+    cy(bat, 0.9, 0.5, M.batPol(), BX + bz, BY + 9.4 + 1.5, 0);
   }
 
   // ─── 6. PCB ESP32 + RELAIS × 4 + MPPT ─────────
+  const elec = sub(g, 'Électronique');
   const PCB_X = -4, PCB_Y = BASE_T + 0.5, PCB_Z = 10;
   const PCB_W = 24, PCB_H = 0.3, PCB_D = 14;
 
   // Plaque PCB principal
-  const pcbMain = bx(g, PCB_W, PCB_H, PCB_D, M.pcb(), PCB_X, PCB_Y + PCB_H / 2, PCB_Z);
-  edgeLine(g, pcbMain, 0x2e7d32, 0.65);
+  const pcbMain = bx(elec, PCB_W, PCB_H, PCB_D, M.pcb(), PCB_X, PCB_Y + PCB_H / 2, PCB_Z);
+  edgeLine(elec, pcbMain, 0x2e7d32, 0.65);
 
   // Module ESP32 (doit être visible)
-  const esp = bx(g, 5.4, 1.2, 2.8, M.esp32(), PCB_X - 5, PCB_Y + PCB_H + 0.6, PCB_Z - 3);
-  edgeLine(g, esp, 0x1565c0, 0.8);
+  const esp = bx(elec, 5.4, 1.2, 2.8, M.esp32(), PCB_X - 5, PCB_Y + PCB_H + 0.6, PCB_Z - 3);
+  esp.userData.part = 'esp32';
+  edgeLine(elec, esp, 0x1565c0, 0.8);
   // Antenne ESP32
-  bx(g, 0.4, 1.0, 1.4, M.esp32(), PCB_X - 7.5, PCB_Y + PCB_H + 0.9, PCB_Z - 3);
+  bx(elec, 0.4, 1.0, 1.4, M.esp32(), PCB_X - 7.5, PCB_Y + PCB_H + 0.9, PCB_Z - 3);
 
   // 4 relais (rangée)
   for (let i = 0; i < 4; i++) {
     const rx = PCB_X - 3 + i * 4.0;
-    const rel = bx(g, 3.2, 1.8, 2.8, M.relais(), rx, PCB_Y + PCB_H + 0.9, PCB_Z + 3);
-    edgeLine(g, rel, 0x0d47a1, 0.75);
+    const rel = bx(elec, 3.2, 1.8, 2.8, M.relais(), rx, PCB_Y + PCB_H + 0.9, PCB_Z + 3);
+    rel.userData.part = 'relais';
+    edgeLine(elec, rel, 0x0d47a1, 0.75);
     // LED relais
-    cy(g, 0.25, 0.3, M.led(), rx, PCB_Y + PCB_H + 2.0, PCB_Z + 1.8);
+    cy(elec, 0.25, 0.3, M.led(), rx, PCB_Y + PCB_H + 2.0, PCB_Z + 1.8);
   }
 
   // Module MPPT (petit boîtier rouge)
-  const mpptBox = bx(g, 6, 2.2, 4, M.mppt(), PCB_X + 9, PCB_Y + PCB_H + 1.1, PCB_Z - 2);
-  edgeLine(g, mpptBox, 0x7f0000, 0.75);
+  const mpptBox = bx(elec, 6, 2.2, 4, M.mppt(), PCB_X + 9, PCB_Y + PCB_H + 1.1, PCB_Z - 2);
+  mpptBox.userData.part = 'mppt';
+  edgeLine(elec, mpptBox, 0x7f0000, 0.75);
 
   // Connecteurs (vis terminales)
   for (let i = 0; i < 3; i++) {
-    bx(g, 0.7, 0.8, 2.5, M.cloison(), PCB_X + 6 + i * 2.5, PCB_Y + PCB_H + 1.5, PCB_Z + 6);
+    bx(elec, 0.7, 0.8, 2.5, M.cloison(), PCB_X + 6 + i * 2.5, PCB_Y + PCB_H + 1.5, PCB_Z + 6);
   }
 
   // ─── 7. CÂBLAGE (discret) ─────────────────────
+  const cables = sub(g, 'Câblage');
   // Batterie → MPPT
-  pipe(g, [
+  pipe(cables, [
     new THREE.Vector3(BX + 4, BY + 9.4 + 1.5, 0),
     new THREE.Vector3(BX + 12, BY + 8, 3),
     new THREE.Vector3(PCB_X + 9, PCB_Y + 2.5, PCB_Z - 4),
-  ], 0.28, M.cableRed);
-  pipe(g, [
+  ], 0.28, M.cableRed).userData.cable = true;
+  pipe(cables, [
     new THREE.Vector3(BX - 4, BY + 9.4 + 1.5, 0),
     new THREE.Vector3(BX + 10, BY + 8, 5),
     new THREE.Vector3(PCB_X + 9, PCB_Y + 2.5, PCB_Z - 2),
-  ], 0.28, M.cable);
+  ], 0.28, M.cable).userData.cable = true;
 
   // ─── ANNOTATIONS ──────────────────────────────
   // ① Réservoir 5L
@@ -274,3 +361,30 @@ export function buildReservoir() {
 
   return g;
 }
+
+registerModule({
+  id: 'reservoir',
+  order: 40,
+  label: 'RÉSERVOIR',
+  build: buildReservoir,
+  accent: '#546e7a',
+  params: [
+    { key: 'baseW', label: 'Largeur base',    min: 60, max: 90, step: 1, unit: 'cm', value: RESERVOIR_DIMS.baseW },
+    { key: 'baseD', label: 'Profondeur base', min: 36, max: 56, step: 1, unit: 'cm', value: RESERVOIR_DIMS.baseD },
+    ...TANK_PARAMS,
+  ],
+  // base 70 × 42 : recul un peu plus large que les modules 50 × 40
+  camera: { position: [105, 60, 105], target: [0, 8, 0] },
+  legend: {
+    title: 'LÉGENDE — RÉSERVOIR & ÉLECTRONIQUE',
+    items: [
+      { num: '1', color: '#4db6ac', text: 'Réservoir 5\u00a0L' },
+      { num: '2', color: '#1565c0', text: 'HC-SR04 niveau eau' },
+      { num: '3', color: '#1565c0', text: 'Niveau eau actuel' },
+      { num: '4', color: '#c0c0c0', text: 'Robinet sortie' },
+      { num: '5', color: '#424242', text: 'Batterie 12V 7Ah' },
+      { num: '6', color: '#1b5e20', text: 'ESP32 + Relais ×4' },
+      { num: '7', color: '#b71c1c', text: 'Contrôleur solaire MPPT' },
+    ],
+  },
+});
@@ -0,0 +1,130 @@
+/**
+ * modules/slope.js
+ * Pentes du réseau d'eau gravitaire d'un module construit
+ *
+ * Chaque tube tagué userData.water (courbe décrite dans le sens
+ * d'écoulement, voir viewer/flow.js) est échantillonné tous les STEP cm
+ * le long de sa courbe, en repère monde (gravité : −Y). Pente locale
+ * d'un tronçon = chute / longueur horizontale, en % (> 0 : descend ;
+ * tronçon vertical descendant : pente infinie).
+ * Défauts relevés, par plages contiguës :
+ *   'montée'  : contre-pente (l'eau remonte) ;
+ *   'siphon'  : point bas en U — l'eau, arrivée en descente, y stagne
+ *               tant qu'elle n'atteint pas un point plus haut situé en
+ *               aval (profondeur en cm) ;
+ *   'faible'  : chute inférieure à minFall (%), replats compris.
+ * Tube qui monte dès son entrée : contre-pente seule (l'eau reflue vers
+ * l'amont, pas de siphon dans le tube).
+ * Unités : cm, %.
+ */
+
+import * as THREE from 'three';
+
+const STEP    = 0.5;    // cm entre deux échantillons
+const TOL_PCT = 0.1;    // % — contre-pente négligée (bruit de spline)
+const TOL_CM  = 0.005;  // cm — profondeur de siphon négligée
+
+/** Libellé : module (couche de l'assemblage, sinon root) › sous-ensemble nommé */
+function labelOf(o, root) {
+  const layered = root.children.some((c) => c.userData.stackPos);
+  let mod = root, name = '';
+  for (let p = o.parent; p && p !== root; p = p.parent) {
+    if (p.name && !name) name = p.name;
+    if (layered && p.parent === root) mod = p;
+  }
+  const where = name && name !== mod.name ? `${mod.name} › ${name}` : mod.name;
+  return `${where} (tuyau ${o.userData.water})`;
+}
+
+/** Plages contiguës où test(i) est vrai : [[i0, i1], …] (bornes incluses) */
+function runs(n, test) {
+  const out = [];
+  let start = -1;
+  for (let i = 0; i <= n; i++) {
+    const on = i < n && test(i);
+    if (on && start < 0) start = i;
+    if (!on && start >= 0) { out.push([start, i - 1]); start = -1; }
+  }
+  return out;
+}
+
+/** Analyse d'un tube : échantillons, pentes par tronçon, défauts */
+function analyzeTube(mesh, root, minFall) {
+  const { path } = mesh.geometry.parameters;
+  const len = path.getLength();
+  const n = Math.max(16, Math.ceil(len / STEP));
+  const pts = [];
+  for (let i = 0; i <= n; i++) pts.push(path.getPointAt(i / n).applyMatrix4(mesh.matrixWorld));
+
+  // Pente et type de chaque tronçon i (pts[i] → pts[i + 1])
+  const seg = [];
+  for (let i = 0; i < n; i++) {
+    const a = pts[i], b = pts[i + 1];
+    const drop = a.y - b.y;
+    const h = Math.hypot(b.x - a.x, b.z - a.z);
+    const slope = h > 1e-6 ? (drop / h) * 100 : (drop > 0 ? Infinity : drop < 0 ? -Infinity : 0);
+    const kind = slope < -TOL_PCT ? 'montée' : slope < minFall ? 'faible' : 'ok';
+    seg.push({ slope, kind });
+  }
+
+  // Points bas : plus bas qu'un point situé en aval (hors plage d'entrée)
+  const above = new Array(n + 1);
+  above[n] = -Infinity;
+  for (let i = n - 1; i >= 0; i--) above[i] = Math.max(above[i + 1], pts[i + 1].y);
+  const trapped = pts.map((p, i) => p.y < above[i] - TOL_CM);
+  for (let i = 0; i <= n && trapped[i]; i++) trapped[i] = false;
+
+  const at = (i0, i1) => len * ((i0 + i1 + 1) / 2) / n;   // abscisse du milieu (cm)
+  const label = labelOf(mesh, root);
+  const issues = [];
+  for (const [i0, i1] of runs(n, (i) => seg[i].kind === 'montée')) {
+    let rise = 0;
+    for (let i = i0; i <= i1; i++) rise += pts[i + 1].y - pts[i].y;
+    issues.push({ kind: 'montée', label, mesh, at: at(i0, i1), value: rise, point: pts[i1 + 1] });
+  }
+  for (const [i0, i1] of runs(n + 1, (i) => trapped[i])) {
+    let low = i0;
+    for (let i = i0; i <= i1; i++) if (pts[i].y < pts[low].y) low = i;
+    issues.push({ kind: 'siphon', label, mesh, at: len * low / n, value: above[low] - pts[low].y, point: pts[low] });
+  }
+  for (const [i0, i1] of runs(n, (i) => seg[i].kind === 'faible')) {
+    let worst = i0;
+    for (let i = i0; i <= i1; i++) if (seg[i].slope < seg[worst].slope) worst = i;
+    issues.push({
+      kind: 'faible', label, mesh, at: at(i0, i1), value: seg[worst].slope,
+      length: len * (i1 - i0 + 1) / n, point: pts[worst],
+    });
+  }
+
+  const fall = pts[0].y - pts[n].y;
+  return {
+    mesh, label, network: mesh.userData.water, length: len, fall, n,
+    minSlope: Math.min(...seg.map((s) => s.slope)),
+    segments: seg, trapped, issues,
+  };
+}
+
+/**
+ * Pentes des tubes d'eau visibles sous root (minFall : chute minimale, %).
+ * Renvoie { tubes: [{ mesh, label, network, length, fall, n, minSlope,
+ * segments: [{ slope, kind }], trapped: [bool] (échantillons en siphon),
+ * issues }], issues } —
+ * issues : [{ kind, label, mesh, at (cm depuis l'amont), value, point }],
+ * value : montée cumulée (cm), profondeur du siphon (cm) ou pente mini (%),
+ * triées par type puis gravité.
+ */
+export function analyzeSlopes(root, minFall = 1) {
+  root.updateMatrixWorld(true);
+  const tubes = [];
+  (function walk(o) {
+    if (!o.visible || o.userData.isHelper) return;
+    if (o.isMesh && o.userData.water && o.geometry.parameters?.path) {
+      tubes.push(analyzeTube(o, root, minFall));
+    }
+    for (const c of o.children) walk(c);
+  })(root);
+  const order = { 'montée': 0, siphon: 1, faible: 2 };
+  const issues = tubes.flatMap((t) => t.issues).sort((a, b) => order[a.kind] - order[b.kind]
+    || (a.kind === 'faible' ? a.value - b.value : b.value - a.value));   // pire d'abord
+  return { tubes, issues };
+}
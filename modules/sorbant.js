@@ -21,52 +21,84 @@
  */
 
 import * as THREE from 'three';
+import { registerModule } from './registry.js';
+import { addPort } from './ports.js';
+
+// ── Dimensions par défaut (cm) — surchargeables via buildSorbant(params) ──
+export const SORBANT_DIMS = {
+  W:     50,                              // largeur
+  D:     40,                              // profondeur (avant=z−, arrière=z+)
+  T:     2.0,                             // épaisseur parois
+  angle: 12,                              // inclinaison vitre (°)
+  hAv:   18,                              // hauteur paroi côté avant
+};
 
-// ── Dimensions (cm) ───────────────────────────────
-const W     = 50;                         // largeur
-const D     = 40;                         // profondeur (avant=z−, arrière=z+)
-const HW    = W / 2;
-const HD    = D / 2;
-const T     = 2.0;                        // épaisseur parois
-const ANGLE = 12 * Math.PI / 180;         // inclinaison vitre
-const H_AV  = 18;                         // hauteur paroi côté avant
-const H_AR  = H_AV + D * Math.tan(ANGLE); // hauteur côté arrière ≈ 26.5
-const H_MOY = (H_AV + H_AR) / 2;         // hauteur moyenne (centre vitre)
+// Cotes dérivées : H_AR ≈ 26.5 pour les valeurs par défaut
+function dims(params) {
+  const { W, D, T, angle, hAv } = { ...SORBANT_DIMS, ...params };
+  const ANGLE = angle * Math.PI / 180;
+  const H_AV  = hAv;
+  const H_AR  = H_AV + D * Math.tan(ANGLE); // hauteur côté arrière
+  return {
+    W, D, T, ANGLE, H_AV, H_AR,
+    HW: W / 2, HD: D / 2,
+    H_MOY: (H_AV + H_AR) / 2,               // hauteur moyenne (centre vitre)
+  };
+}
+
+// ── Tringlerie vitre (servo → bras → tige → patte vitre) ──
+export const RIG = {
+  arm:     4,       // cm — longueur du bras servo
+  closed:  20,      // ° servo vitre fermée (définit la longueur de tige)
+  open:    140,     // ° servo ouverture maxi (au-delà le bras repasse le point mort)
+  maxLid:  35,      // ° limite de recherche de l'angle vitre
+};
 
 // ── Matériaux ──────────────────────────────────────
-function mat(color, { roughness=0.7, metalness=0.1, opacity=1 } = {}) {
+function mat(color, { roughness=0.7, metalness=0.1, opacity=1, density=0 } = {}) {
   const t = opacity < 0.99;
-  return new THREE.MeshStandardMaterial({
+  const m = new THREE.MeshStandardMaterial({
     color, roughness, metalness, opacity, transparent: t,
     side: t ? THREE.DoubleSide : THREE.FrontSide,
   });
+  m.userData.density = density; // g/cm³ — 0 : ignoré par le bilan de masse
+  return m;
 }
 
+// density : g/cm³ apparente (bilan de masse, modules/mass.js)
 const M = {
-  paroi:    () => mat(0x2a2f3d, { roughness:0.5,  metalness:0.3,  opacity:0.22 }),
-  base:     () => mat(0x1e2530, { roughness:0.8,  metalness:0.3  }),
-  nappe:    () => mat(0xc0392b, { roughness:0.9,  metalness:0.0  }), // rouge
-  grille:   () => mat(0xbfc9ca, { roughness:0.3,  metalness:0.8  }), // inox
-  tissu:    () => mat(0x1e4d2b, { roughness:0.97, metalness:0.0  }), // vert foncé
-  vapeur:   () => mat(0x5dade2, { roughness:0.0,  metalness:0.0,  opacity:0.06 }),
-  vitre:    () => mat(0x4ab3e8, { roughness:0.04, metalness:0.0,  opacity:0.40 }), // bleu
-  canal:    () => mat(0x1f8ec2, { roughness:0.4,  metalness:0.55 }),
-  tuyau:    () => mat(0x2e86c1, { roughness:0.45, metalness:0.5,  opacity:0.85 }),
-  volet:    () => mat(0x3d4454, { roughness:0.75, metalness:0.25 }),
-  tringle:  () => mat(0x7f8c8d, { roughness:0.4,  metalness:0.7  }),
-  servo:    () => mat(0x212535, { roughness:0.7,  metalness:0.2  }),
-  panneau:  () => mat(0x1a1f2b, { roughness:0.7,  metalness:0.3  }), // panneau avant
-  oled:     () => mat(0x001a2e, { roughness:0.2,  metalness:0.1  }),
-  oledScr:  () => mat(0x00aacc, { roughness:0.1,  metalness:0.0,  opacity:0.92 }),
-  ds18:     () => mat(0x1c1c1c, { roughness:0.5,  metalness:0.1  }),
-  dht22:    () => mat(0xecf0f1, { roughness:0.8,  metalness:0.0  }),
-  ldr:      () => mat(0xd4ac0d, { roughness:0.3,  metalness:0.1,  opacity:0.9 }),
-  pin:      () => mat(0x7f8c8d, { roughness:0.3,  metalness:0.9  }),
-  btnVert:  () => mat(0x27ae60, { roughness:0.4,  metalness:0.1  }),
-  btnRouge: () => mat(0xe74c3c, { roughness:0.4,  metalness:0.1  }),
+  paroi:    () => mat(0x2a2f3d, { roughness:0.5,  metalness:0.3,  opacity:0.22, density:1.19 }),
+  base:     () => mat(0x1e2530, { roughness:0.8,  metalness:0.3,                density:2.7 }),
+  nappe:    () => mat(0xc0392b, { roughness:0.9,  metalness:0.0,                density:1.4 }), // rouge
+  grille:   () => mat(0xbfc9ca, { roughness:0.3,  metalness:0.8,                density:0.8 }), // inox
+  tissu:    () => mat(0x1e4d2b, { roughness:0.97, metalness:0.0,                density:0.2 }), // vert foncé
+  vapeur:   () => mat(0x5dade2, { roughness:0.0,  metalness:0.0,  opacity:0.06, density:0 }),
+  vitre:    () => mat(0x4ab3e8, { roughness:0.04, metalness:0.0,  opacity:0.40, density:1.19 }), // bleu, plexiglas
+  canal:    () => mat(0x1f8ec2, { roughness:0.4,  metalness:0.55,               density:1.4 }),
+  tuyau:    () => mat(0x2e86c1, { roughness:0.45, metalness:0.5,  opacity:0.85, density:0.6 }),
+  volet:    () => mat(0x3d4454, { roughness:0.75, metalness:0.25,               density:0.5 }),
+  tringle:  () => mat(0x7f8c8d, { roughness:0.4,  metalness:0.7,                density:7.9 }),
+  servo:    () => mat(0x212535, { roughness:0.7,  metalness:0.2,                density:1.2 }),
+  panneau:  () => mat(0x1a1f2b, { roughness:0.7,  metalness:0.3,                density:2.7 }), // panneau avant
+  oled:     () => mat(0x001a2e, { roughness:0.2,  metalness:0.1,                density:1.85 }),
+  oledScr:  () => mat(0x00aacc, { roughness:0.1,  metalness:0.0,  opacity:0.92, density:2.5 }),
+  ds18:     () => mat(0x1c1c1c, { roughness:0.5,  metalness:0.1,                density:1.5 }),
+  dht22:    () => mat(0xecf0f1, { roughness:0.8,  metalness:0.0,                density:1.2 }),
+  ldr:      () => mat(0xd4ac0d, { roughness:0.3,  metalness:0.1,  opacity:0.9,  density:1.5 }),
+  pin:      () => mat(0x7f8c8d, { roughness:0.3,  metalness:0.9,                density:8.5 }),
+  btnVert:  () => mat(0x27ae60, { roughness:0.4,  metalness:0.1,                density:1.1 }),
+  btnRouge: () => mat(0xe74c3c, { roughness:0.4,  metalness:0.1,                density:1.1 }),
 };
 
 // ── Helpers internes ───────────────────────────────
+// Sous-ensemble (Parois, Vitre…) — parois masquées : lit CaCl₂ visible
+function sub(parent, name) {
+  const s = new THREE.Group();
+  s.name = name;
+  parent.add(s);
+  return s;
+}
+
 function addM(parent, geo, material) {
   const m = new THREE.Mesh(geo, material);
   m.castShadow = m.receiveShadow = true;
@@ -130,7 +162,7 @@ function annotate(parent, from, to, num, hexColor = '#a0c8e8') {
 
 // ── Paroi latérale trapézoïdale via BufferGeometry ─
 // Profil : trapèze avec avant à H_AV et arrière à H_AR
-function makeTrapWall(parent, xPos, material) {
+function makeTrapWall(parent, xPos, material, { T, HD, H_AV, H_AR }) {
   // 8 sommets : face intérieure + face extérieure du trapèze
   const x0 = xPos, x1 = xPos + T * (xPos < 0 ? 1 : -1);
   const verts = new Float32Array([
@@ -165,75 +197,109 @@ function makeTrapWall(parent, xPos, material) {
 }
 
 // ── BUILD ──────────────────────────────────────────
-export function buildSorbant() {
+export function buildSorbant(params = {}) {
+  const d = dims(params);
+  const { W, D, T, ANGLE, H_AV, H_AR, HW, HD, H_MOY } = d;
+
   const g = new THREE.Group();
   g.name = 'sorbant';
 
   // ─── 1. PAROIS LATÉRALES TRAPÉZOÏDALES ────────────
-  makeTrapWall(g, -HW, M.paroi()); // gauche
-  makeTrapWall(g,  HW, M.paroi()); // droite
+  const parois = sub(g, 'Parois');
+  const trap = makeTrapWall(parois, -HW, M.paroi(), d); // gauche
+  trap.userData.sheet = 'acrylique';
+  // hauteurs avant / arrière relevées sur les sommets (viewer/dims.js)
+  trap.userData.cote = [
+    { label: 'H_AV', axis: 'y', at: '-z', side: '-x' },
+    { label: 'H_AR', axis: 'y', at: '+z', side: '-x' },
+  ];
+  makeTrapWall(parois,  HW, M.paroi(), d).userData.sheet = 'acrylique'; // droite
 
   // ─── 2. PAROI ARRIÈRE ─────────────────────────────
-  bx(g, W, H_AR, T, M.paroi(), 0, H_AR/2, HD);
+  bx(parois, W, H_AR, T, M.paroi(), 0, H_AR/2, HD).userData.sheet = 'acrylique';
+  // passe-câble nappe, servos et capteurs
+  addPort(parois, 'cable-in', [HW - 6, T + 4, HD + T/2], { kind: 'cable', dir: [0, 0, 1] });
 
   // ─── 3. BASE / PLANCHER ───────────────────────────
-  bx(g, W, T, D, M.base(), 0, T/2, 0);
+  bx(parois, W, T, D, M.base(), 0, T/2, 0).userData.sheet = 'alu';
 
   // ─── 4. VOLETS LAMELLES × 5 (fond du module) ─────
+  const lam = sub(g, 'Volets');
+  // Chaque volet pivote autour de son axe X ; une manivelle (rayon RC)
+  // relie les volets à la tringle → setSorbantRig()
   const NV   = 5;
   const step = (D - 2) / NV;
+  const RC   = 1.0;
+  const volets = [];
   for (let i = 0; i < NV; i++) {
     const zv = -HD + 1 + step * (i + 0.5);
-    bx(g, W - T*2 - 0.5, 1.2, step - 0.5, M.volet(), 0, T + 1.5, zv);
+    const pv = new THREE.Group();
+    pv.position.set(0, T + 1.5, zv);
+    pv.userData.isVolet = true; // rotation X : 0 fermé → ~80° ouvert
+    lam.add(pv);
+    bx(pv, W - T*2 - 0.5, 1.2, step - 0.5, M.volet());
+    bx(pv, 0.4, RC, 0.4, M.tringle(), HW - T - 1, RC / 2, 0); // manivelle
+    volets.push(pv);
   }
-  // Tringle horizontale
-  cy(g, 0.5, D - 2, M.tringle(), HW - T - 1, T + 1.5, 0, Math.PI/2);
-  // Servo
-  bx(g, 2.5, 3, 5, M.servo(), HW - T - 1.5, T + 3, HD - 8);
+  // Tringle horizontale (relie les manivelles)
+  const tie = cy(lam, 0.35, D - 2, M.tringle(), HW - T - 1, T + 1.5 + RC, 0, Math.PI/2);
+  // Servo volets
+  bx(lam, 2.5, 3, 5, M.servo(), HW - T - 1.5, T + 3, HD - 8).userData.part = 'servo';
 
   // ─── 5. NAPPE CHAUFFANTE 12V [rouge] ──────────────
-  const nappe = bx(g, W - T*2, 1.5, D - T*2, M.nappe(), 0, T + 3.5, 0);
+  const lit = sub(g, 'Lit CaCl₂');
+  const nappe = bx(lit, W - T*2, 1.5, D - T*2, M.nappe(), 0, T + 3.5, 0);
   nappe.userData.isNappe = true;
+  nappe.userData.part = 'nappe';
 
   // ─── 6. PLATEAU GRILLE INOX [gris métal] ──────────
-  bx(g, W - T*2, 0.4, D - T*2, M.grille(), 0, T + 5.5, 0);
+  bx(lit, W - T*2, 0.4, D - T*2, M.grille(), 0, T + 5.5, 0);
   for (let i = 0; i < 8; i++) {
     const zf = -HD + T + 1 + ((D - T*2 - 2) / 7) * i;
-    bx(g, W - T*2, 0.18, 0.22, M.grille(), 0, T + 5.9, zf);
+    bx(lit, W - T*2, 0.18, 0.22, M.grille(), 0, T + 5.9, zf);
   }
   for (let i = 0; i < 6; i++) {
     const xf = -HW + T + 1 + ((W - T*2 - 2) / 5) * i;
-    bx(g, 0.22, 0.18, D - T*2, M.grille(), xf, T + 5.9, 0);
+    bx(lit, 0.22, 0.18, D - T*2, M.grille(), xf, T + 5.9, 0);
   }
 
   // ─── 7. TISSU COTON NOIR + CaCl₂ [vert foncé] ────
-  bx(g, W - T*2, 2.5, D - T*2, M.tissu(), 0, T + 7.5, 0);
+  bx(lit, W - T*2, 2.5, D - T*2, M.tissu(), 0, T + 7.5, 0);
 
   // ─── 8. ESPACE VAPEUR [bleu fantôme] ──────────────
-  bx(g, W - T*2, 4.5, D - T*2, M.vapeur(), 0, T + 11.5, 0);
-
-  // ─── 9. VITRE — COUVERCLE INCLINÉ FERMÉ ───────────
-  // Repose sur les bords supérieurs trapézoïdaux
-  // Centre Y = H_MOY, inclinée de ANGLE autour de X
-  const vitreM = addM(g,
+  const air = sub(g, 'Volume vapeur');
+  const vap = bx(air, W - T*2, 4.5, D - T*2, M.vapeur(), 0, T + 11.5, 0);
+  vap.userData.isVapeur = true;
+
+  // ─── 9. VITRE — COUVERCLE INCLINÉ (pivot charnières) ──
+  const lid = sub(g, 'Vitre');
+  // Repose sur les bords supérieurs trapézoïdaux ; le groupe `hinge` est
+  // placé sur l'axe des charnières (bord arrière haut) : rotation.x > 0
+  // soulève le bord avant
+  const hinge = new THREE.Group();
+  hinge.position.set(0, H_AR, HD);
+  lid.add(hinge);
+  const vitreM = addM(hinge,
     new THREE.BoxGeometry(W, 0.35, D + T * 2),
     M.vitre()
   );
-  vitreM.position.set(0, H_MOY, 0);
+  vitreM.position.set(0, H_MOY - H_AR, -HD);
   vitreM.rotation.x = -ANGLE;
-  edgeLine(g, vitreM, 0x88d8ff, 0.9);
+  vitreM.userData.sheet = 'acrylique';
+  edgeLine(hinge, vitreM, 0x88d8ff, 0.9);
 
   // ─── 9b. CHARNIÈRES ARRIÈRE (pivot vitre) ─────────
   // 2 cylindres métalliques sur le bord arrière supérieur, parois gauche+droite
   for (const xh of [-HW + T/2, HW - T/2]) {
-    cy(g, 1.2, T + 1, M.tringle(), xh, H_AR, HD - 1, 0, Math.PI/2);
+    cy(lid, 1.2, T + 1, M.tringle(), xh, H_AR, HD - 1, 0, Math.PI/2);
   }
 
   // ─── 10. GOUTTIÈRE (bord avant de la vitre) ────────
+  const gutter = sub(g, 'Gouttière');
   const gutY = H_AV + 0.4;
   const gutZ = -HD - 0.8;
-  const gout = bx(g, W, 1.2, 2.8, M.canal(), 0, gutY, gutZ);
-  edgeLine(g, gout, 0x3bc8f8, 0.7);
+  const gout = bx(gutter, W, 1.2, 2.8, M.canal(), 0, gutY, gutZ);
+  edgeLine(gutter, gout, 0x3bc8f8, 0.7);
 
   // Tuyau guidé (descend depuis la gouttière)
   {
@@ -243,16 +309,21 @@ export function buildSorbant() {
       new THREE.Vector3(sx, gutY - 6,  gutZ - 1),
       new THREE.Vector3(sx, gutY - 14, gutZ - 0.5),
     ]);
-    addM(g, new THREE.TubeGeometry(curve, 12, 0.60, 10, false), M.tuyau());
+    const tube = addM(gutter, new THREE.TubeGeometry(curve, 12, 0.60, 10, false), M.tuyau());
+    tube.userData.water = 'condensat'; // sens gouttière → sortie
+    // raccord du réseau eau de l'assemblage (modules/ports.js)
+    addPort(gutter, 'eau-out', curve.getPoint(1), { dir: curve.getTangent(1) });
   }
 
   // ─── 11. PANNEAU AVANT BAS [OLED + boutons] ───────
+  const front = sub(g, 'Panneau avant');
   const panH = 6;
   const panY = gutY - 0.8 - panH / 2;
   const panZ = gutZ - 0.1;
-  bx(g, W, panH, T * 0.7, M.panneau(), 0, panY, panZ);
+  bx(front, W, panH, T * 0.7, M.panneau(), 0, panY, panZ).userData.sheet = 'alu';
 
-  // OLED réaliste 3.5×1.8 cm avec texte AQUA-ATMOS
+  // OLED réaliste 3.5×1.8 cm — écran d'accueil AQUA-ATMOS, redessiné
+  // ensuite par ui/oled.js (userData.oled : canvas + texture)
   {
     const cw = 256, ch = 64;
     const cv = document.createElement('canvas');
@@ -266,53 +337,207 @@ export function buildSorbant() {
     ctx.textBaseline = 'middle';
     ctx.fillText('AQUA-ATMOS', cw / 2, ch / 2);
     const tex = new THREE.CanvasTexture(cv);
-    const scrMesh = addM(g,
+    const scrMesh = addM(front,
       new THREE.BoxGeometry(9, 2.3, 0.4),
       new THREE.MeshBasicMaterial({ map: tex })
     );
     scrMesh.position.set(16, panY + 0.5, panZ - 0.9);
+    scrMesh.userData.oled = { canvas: cv, texture: tex };
+    scrMesh.material.userData.density = 2.5; // dalle verre
     // boîtier OLED
-    bx(g, 10, 2.8, 0.8, M.oled(), 16, panY + 0.3, panZ - 0.6);
+    bx(front, 10, 2.8, 0.8, M.oled(), 16, panY + 0.3, panZ - 0.6);
   }
 
   // BTN1 ON/OFF (rouge) — côté droit, loin du tuyau
-  cy(g, 1.0, 1.5, M.btnRouge(),  7, panY + 0.5, panZ - 1.0, Math.PI/2);
+  cy(front, 1.0, 1.5, M.btnRouge(),  7, panY + 0.5, panZ - 1.0, Math.PI/2)
+    .userData.button = 'btn1';
   // BTN2 Auto/Manuel (vert)
-  cy(g, 1.0, 1.5, M.btnVert(),   3, panY + 0.5, panZ - 1.0, Math.PI/2);
+  cy(front, 1.0, 1.5, M.btnVert(),   3, panY + 0.5, panZ - 1.0, Math.PI/2)
+    .userData.button = 'btn2';
 
   // ─── 11b. MÉCANISME SERVO VITRE (paroi droite extérieure) ──
-  // Servo corps
+  const mech = sub(g, 'Mécanisme vitre');
+  // Chaîne : servo → bras (LA) → tige de poussée (longueur fixe) → patte
+  // sur le bord avant de la vitre → rotation autour des charnières
   const svX   = HW + T + 0.2;
   const svY   = H_AV - 4;
   const svZ   = -HD + 6;
-  bx(g, 1.5, 4, 8, M.servo(), svX, svY, svZ);     // corps servo
+  const rodX  = HW + 0.6;                              // plan de la tringlerie
+  bx(mech, 1.5, 4, 8, M.servo(), svX, svY, svZ)         // corps servo
+    .userData.part = 'servo';
   // Axe servo (cylindre)
-  cy(g, 0.6, 2, M.tringle(), svX - 1.0, svY + 1, svZ, 0, Math.PI/2);
-  // Bras servo (rectangle)
-  bx(g, 4, 0.8, 0.8, M.tringle(), svX - 2.5, svY + 1, svZ, 0, 0, 0.5);
-  // Tige de poussée : du bras au bord avant de la vitre
-  {
-    const curve = new THREE.CatmullRomCurve3([
-      new THREE.Vector3(svX - 4.5, svY + 2.5, svZ),
-      new THREE.Vector3(svX - 2,   H_AV + 1,  -HD + 2),
-      new THREE.Vector3(svX - 1.5, H_AV,       -HD - 0.5),
-    ]);
-    addM(g, new THREE.TubeGeometry(curve, 8, 0.4, 8, false), M.tringle());
-  }
+  cy(mech, 0.6, 2, M.tringle(), svX - 1.0, svY + 1, svZ, 0, Math.PI/2);
+  // Bras servo : pivote autour de X, pointe vers le bas à 0°
+  const arm = new THREE.Group();
+  arm.position.set(rodX, svY + 1, svZ);
+  mech.add(arm);
+  bx(arm, 0.8, RIG.arm, 0.8, M.tringle(), 0, -RIG.arm / 2, 0);
+  // Patte de la vitre (repère hinge) : coin avant droit, débord 1 cm
+  const tab = new THREE.Vector3(0, 0, -(D / 2 + T))
+    .applyEuler(vitreM.rotation).add(vitreM.position).setX(rodX);
+  bx(hinge, 1.2, 0.6, 1.2, M.tringle(), tab.x, tab.y - 0.3, tab.z);
+  // Tige de poussée : régénérée à chaque pose (setSorbantRig)
+  const rod = addM(mech, new THREE.BufferGeometry(), M.tringle());
+
+  g.userData.rig = {
+    hinge, arm, rod, tab, volets, tie,
+    tieRest: tie.position.clone(), rc: RC,
+    rodLen: 0, servo: null, lidAngle: 0,
+  };
+  setSorbantRig(g, { servo: RIG.closed, louvres: 0 });
 
   // ─── 12. CAPTEURS INTÉRIEURS ──────────────────────
-  cy(g, 0.5, 7.5, M.ds18(), -10, T + 12, 3);
-  addM(g, new THREE.SphereGeometry(0.7, 12, 8), M.ds18())
+  const sens = sub(g, 'Capteurs');
+  cy(sens, 0.5, 7.5, M.ds18(), -10, T + 12, 3).userData.part = 'ds18b20';
+  addM(sens, new THREE.SphereGeometry(0.7, 12, 8), M.ds18())
     .position.set(-10, T + 8.5, 3);
-  bx(g, 4, 7, 3, M.dht22(), 12, T + 12, 2);
+  const dhtInt = bx(sens, 4, 7, 3, M.dht22(), 12, T + 12, 2);
+  dhtInt.userData.sensor = 'dht22-int'; // → state.interior
+  dhtInt.userData.part = 'dht22';
 
   // LDR discret, paroi gauche
-  cy(g, 0.8, 1.2, M.ldr(), -HW - 0.3, T + 2.5, -HD + 4, 0, Math.PI/2);
+  cy(sens, 0.8, 1.2, M.ldr(), -HW - 0.3, T + 2.5, -HD + 4, 0, Math.PI/2);
 
   // ─── 13. DHT22 EXTÉRIEUR (paroi droite, discret) ─────
-  bx(g, 1.5, 4, 5, M.dht22(), HW + T + 0.1, H_AV * 0.6, -HD + 16);
+  const dhtExt = bx(sens, 1.5, 4, 5, M.dht22(), HW + T + 0.1, H_AV * 0.6, -HD + 16);
+  dhtExt.userData.sensor = 'dht22-ext'; // → state.ambient
+  dhtExt.userData.part = 'dht22';
 
   // ─── 14. (annotations supprimées — voir légende HTML) ───────────
 
   return g;
-}
\ No newline at end of file
+}
+
+// ── Cinématique : servo vitre + volets ────────────
+const VOLET_OPEN = 80 * Math.PI / 180;
+const DEG = Math.PI / 180;
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _x = new THREE.Vector3(1, 0, 0);
+
+// Extrémité du bras pour un angle servo (repère du module)
+function armTip(rig, servo, out) {
+  return out.set(0, -RIG.arm, 0).applyAxisAngle(_x, servo * DEG).add(rig.arm.position);
+}
+
+// Patte de la vitre pour un angle d'ouverture (repère du module)
+function tabAt(rig, lid, out) {
+  return out.copy(rig.tab).applyAxisAngle(_x, lid * DEG).add(rig.hinge.position);
+}
+
+/**
+ * Pose la tringlerie du module (root ou un de ses parents) :
+ *   servo   : angle servo vitre (°) — RIG.closed … RIG.open
+ *   louvres : ouverture des volets 0…1 (tringle + manivelles)
+ * L'angle vitre est résolu pour que la tige garde sa longueur (première
+ * solution depuis la position fermée) ; renvoie { lid (°), lift (cm), bind }.
+ */
+export function setSorbantRig(root, { servo = RIG.closed, louvres = 0 } = {}) {
+  let out = null;
+  root.traverse((o) => {
+    const rig = o.userData.rig;
+    if (!rig || out) return;
+
+    // volets + tringle (translation = mouvement des pointes de manivelle)
+    const a = louvres * VOLET_OPEN;
+    for (const v of rig.volets) v.rotation.x = a;
+    rig.tie.position.copy(rig.tieRest).add(
+      _a.set(0, rig.rc * (Math.cos(a) - 1), rig.rc * Math.sin(a)));
+
+    if (!rig.rodLen) {
+      rig.rodLen = armTip(rig, RIG.closed, _a).distanceTo(tabAt(rig, 0, _b));
+    }
+    if (servo !== rig.servo) {
+      const s = THREE.MathUtils.clamp(servo, RIG.closed, RIG.open);
+      armTip(rig, s, _a);
+      const f = (lid) => tabAt(rig, lid, _b).distanceTo(_a) - rig.rodLen;
+      // balayage 0,25° puis bissection sur le premier changement de signe
+      let lo = 0, hi = null, bind = false;
+      if (f(0) < 0) {
+        for (let l = 0.25; l <= RIG.maxLid; l += 0.25) {
+          if (f(l) >= 0) { hi = l; break; }
+          lo = l;
+        }
+        if (hi === null) { hi = lo; bind = true; }
+        for (let k = 0; k < 20 && !bind; k++) {
+          const m = (lo + hi) / 2;
+          if (f(m) < 0) lo = m; else hi = m;
+        }
+      } else hi = 0;
+      rig.lidAngle = hi;
+      rig.bind = bind;
+      rig.hinge.rotation.x = hi * DEG;
+      rig.arm.rotation.x = s * DEG;
+
+      // tige régénérée entre bras et patte, légère flèche vers l'extérieur
+      tabAt(rig, hi, _b);
+      const mid = _a.clone().lerp(_b, 0.5).add(new THREE.Vector3(0.4, 0, 0));
+      rig.rod.geometry.dispose();
+      rig.rod.geometry = new THREE.TubeGeometry(
+        new THREE.CatmullRomCurve3([_a.clone(), mid, _b.clone()]), 8, 0.4, 8, false);
+      rig.servo = servo;
+    }
+    const lift = rig.tab.length() * Math.sin(rig.lidAngle * DEG);
+    out = { lid: rig.lidAngle, lift, bind: rig.bind };
+  });
+  return out;
+}
+
+// ── État du cycle CaCl₂ (sim/sorption.js) → géométrie ──
+const NAPPE_GLOW = new THREE.Color(0xff5a1f);
+
+/**
+ * Volets + vitre, lueur de la nappe et brume de vapeur d'après sampleAt().
+ * rig (optionnel) : pose manuelle { servo, louvres } prioritaire sur le cycle.
+ */
+export function applySorbantState(root, sample, rig = null) {
+  if (!root) return;
+  if (rig || sample) {
+    setSorbantRig(root, rig ?? {
+      servo: THREE.MathUtils.lerp(RIG.closed, RIG.open, sample.open),
+      louvres: sample.open,
+    });
+  }
+  if (!sample) return;
+  const glow = sample.heat
+    ? 0.35 + 0.65 * THREE.MathUtils.clamp((sample.Tbed - sample.Tamb) / 45, 0, 1)
+    : 0;
+  root.traverse((o) => {
+    const u = o.userData;
+    if (u.isNappe) {
+      o.material.emissive.copy(NAPPE_GLOW);
+      o.material.emissiveIntensity = glow;
+    } else if (u.isVapeur) o.material.opacity = 0.06 + 0.34 * sample.vapour;
+  });
+}
+
+registerModule({
+  id: 'sorbant',
+  order: 20,
+  label: 'MODULE SORBANT',
+  build: buildSorbant,
+  accent: '#b8902a',
+  params: [
+    { key: 'W',     label: 'Largeur',          min: 36, max: 80, step: 1,   unit: 'cm', value: SORBANT_DIMS.W },
+    { key: 'D',     label: 'Profondeur',       min: 28, max: 60, step: 1,   unit: 'cm', value: SORBANT_DIMS.D },
+    { key: 'T',     label: 'Épaisseur parois', min: 1,  max: 4,  step: 0.1, unit: 'cm', value: SORBANT_DIMS.T },
+    { key: 'angle', label: 'Inclinaison vitre', min: 0, max: 30, step: 0.5, unit: '°',  value: SORBANT_DIMS.angle },
+    { key: 'hAv',   label: 'Hauteur avant',    min: 16, max: 30, step: 0.5, unit: 'cm', value: SORBANT_DIMS.hAv },
+  ],
+  camera: { position: [95, 55, 95], target: [0, 7, 0] },
+  legend: {
+    title: 'LÉGENDE — SORBANT',
+    items: [
+      { num: '①', color: '#5caddc', text: 'Vitre plexiglas 3mm inclinée' },
+      { num: '②', color: '#d4a843', text: 'Tissu coton + CaCl₂' },
+      { num: '③', color: '#c06030', text: 'Nappe chauffante 12V' },
+      { num: '④', color: '#4a8c6c', text: 'Grille inox' },
+      { num: '⑤', color: '#7a9ab8', text: 'Volets + servo' },
+      { num: '⑥', color: '#1f8ec2', text: 'Goutttière + tuyau sortie' },
+      { num: '⑦', color: '#1a8040', text: 'Capteur DS18B20' },
+      { num: '⑧', color: '#4a9860', text: 'Capteur DHT22 intérieur' },
+      { num: '⑨', color: '#c8a020', text: 'Capteur DHT22 extérieur' },
+      { num: '⑩', color: '#d4a843', text: 'Panneau OLED + boutons' },
+    ],
+  },
+});
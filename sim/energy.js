@@ -0,0 +1,135 @@
+/**
+ * sim/energy.js
+ * Bilan énergétique horaire — panneau 50 W → MPPT → batterie 12V 7Ah SLA
+ *
+ * Chaîne : irradiance → puissance PV (dérive thermique des cellules)
+ *          → rendement MPPT → batterie (rendement de charge, DoD 50 %)
+ *          → charges 12V (TECs, nappe, ventilateurs, UV-C, ESP32, servo)
+ *
+ * Pas horaire (milieu d'heure), 3 jours enchaînés depuis batterie pleine :
+ * le dernier jour donne le régime établi. Énergies en Wh, puissances en W.
+ */
+
+import { irradiance, ambientAt, SORPTION_DEFAULTS } from './sorption.js';
+import { FAN_50MM, FAN_COUNT } from './fans.js';
+
+// ── Matériel ───────────────────────────────────────
+export const ENERGY_DEFAULTS = {
+  panelWp:   50,      // W crête (STC 1000 W/m², 25 °C)
+  gMax:      900,     // W/m² irradiance à midi
+  tempCoef:  -0.004,  // 1/K dérive puissance PV
+  derate:    0.9,     // salissure + câblage
+  mppt:      0.94,    // rendement MPPT
+  batAh:     7,       // Ah SLA
+  batV:      12,      // V nominal
+  dod:       0.5,     // profondeur de décharge admise (plomb)
+  chargeEff: 0.85,    // rendement de charge plomb
+  tecFrom:   10,      // h — fenêtre TEC (sur le solaire)
+  tecTo:     15,
+  power:     true,    // appareil en marche (BTN1) ; false : relais coupés
+  fanW:      FAN_COUNT * FAN_50MM.pMax,  // W — ventilateurs (sim/fans.js fanOperating)
+};
+
+function inRange(h, from, to) {
+  return from < to ? h >= from && h < to : h >= from || h < to;
+}
+
+/**
+ * Charges 12V : { id, label, W, duty(h) } — duty = fraction de l'heure active.
+ * tecW : puissance totale des 4 TECs (sim/tec.js → powerW) ; o.fanW :
+ * ventilateurs à la vitesse réglée, sur la fenêtre TEC.
+ * Appareil à l'arrêt (o.power false, sim/firmware.js) : TECs, nappe,
+ * ventilateurs et servo sans alimentation ; l'ESP32 reste sous tension.
+ */
+export function defaultLoads(tecW, o = ENERGY_DEFAULTS) {
+  const S = SORPTION_DEFAULTS;
+  const on = o.power ? 1 : 0;
+  const tecOn = (h) => (inRange(h, o.tecFrom, o.tecTo) ? on : 0);
+  return [
+    { id: 'tec',    label: '4 × TEC1-12706',     W: tecW,      duty: tecOn },
+    { id: 'nappe',  label: 'Nappe chauffante',   W: S.nappeW,  duty: (h) => (inRange(h, S.heatFrom, S.heatTo) ? on : 0) },
+    { id: 'fans',   label: `Ventilateurs (×${FAN_COUNT})`, W: o.fanW, duty: tecOn },
+    { id: 'uvc',    label: 'LED UV-C',           W: 3,         duty: () => 0.1 },
+    { id: 'esp32',  label: 'ESP32 + OLED + relais', W: 1.2,    duty: () => 1 },
+    // servo : ~3 min de course à chaque ouverture/fermeture des volets
+    { id: 'servo',  label: 'Servo volets',       W: 6,         duty: (h) => (h === S.openFrom || h === S.openTo ? 0.05 * on : 0) },
+  ];
+}
+
+/** Puissance DC en sortie MPPT à l'heure h (milieu d'heure) */
+export function pvPower(h, Tamb, o = ENERGY_DEFAULTS) {
+  const G = irradiance(h, o.gMax);
+  const Tcell = Tamb + 0.03 * G;                // NOCT simplifiée
+  const P = o.panelWp * (G / 1000) * (1 + o.tempCoef * (Tcell - 25)) * o.derate;
+  return { G, P: Math.max(0, P) * o.mppt };
+}
+
+/**
+ * mean  : ambiance moyenne { T, RH }
+ * tecW  : puissance des TECs (W)
+ * Renvoie { hours: [{ h, G, pv, load, soc, unmet, spilled, byLoad }],
+ *           pvWh, loadWh, deficitWh, spilledWh, byLoadWh, autonomyH, socMin, viable }
+ */
+export function simulateEnergy(mean, tecW, opts = {}) {
+  const o = { ...ENERGY_DEFAULTS, ...opts };
+  const loads = defaultLoads(tecW, o);
+  const capWh = o.batAh * o.batV;
+  const usableWh = capWh * o.dod;
+  const minWh = capWh - usableWh;
+
+  let e = capWh; // batterie pleine au départ
+  let hours = [];
+
+  for (let day = 0; day < 3; day++) {
+    hours = [];
+    for (let h = 0; h < 24; h++) {
+      const { T } = ambientAt(h + 0.5, mean);
+      const { G, P: pv } = pvPower(h + 0.5, T, o);
+      const byLoad = {};
+      let load = 0;
+      for (const l of loads) {
+        byLoad[l.id] = l.W * l.duty(h);
+        load += byLoad[l.id];
+      }
+
+      // le PV alimente d'abord les charges, l'excédent charge la batterie
+      const net = pv - load;
+      let unmet = 0, spilled = 0;
+      if (net >= 0) {
+        const room = capWh - e;
+        const stored = Math.min(room, net * o.chargeEff);
+        e += stored;
+        spilled = net - stored / o.chargeEff;
+      } else {
+        const avail = e - minWh;
+        const drawn = Math.min(avail, -net);
+        e -= drawn;
+        unmet = -net - drawn;
+      }
+      hours.push({ h, G, pv, load, soc: e / capWh, unmet, spilled, byLoad });
+    }
+  }
+
+  const sum = (k) => hours.reduce((a, x) => a + x[k], 0);
+  const byLoadWh = {};
+  for (const l of loads) byLoadWh[l.id] = hours.reduce((a, x) => a + x.byLoad[l.id], 0);
+
+  // autonomie : batterie pleine → DoD, consommation moyenne hors soleil
+  const night = hours.filter((x) => x.pv === 0);
+  const nightW = night.length ? night.reduce((a, x) => a + x.load, 0) / night.length : 0;
+  const deficitWh = sum('unmet');
+
+  return {
+    loads,
+    hours,
+    capWh, usableWh,
+    pvWh: sum('pv'),
+    loadWh: sum('load'),
+    deficitWh,
+    spilledWh: sum('spilled'),
+    byLoadWh,
+    autonomyH: nightW > 0 ? usableWh / nightW : Infinity,
+    socMin: Math.min(...hours.map((x) => x.soc)),
+    viable: deficitWh < 0.5,
+  };
+}
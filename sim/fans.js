@@ -0,0 +1,32 @@
+/**
+ * sim/fans.js
+ * Ventilateurs intérieurs du module Peltier — 2 × 50 mm 12V
+ *
+ * Lois de similitude : Q ∝ N, P ∝ N³ (N = vitesse de rotation).
+ * Vitesse de l'air au soufflage v = Q / A, A = couronne entre moyeu et cadre.
+ * Relais coupé → N = 0.
+ */
+
+export const FAN_50MM = {
+  rpmMax:  5000,    // tr/min à 12 V
+  qMax:    17,      // m³/h à rpmMax (≈ 10 CFM)
+  pMax:    1.8,     // W à rpmMax
+  R:       0.028,   // m rayon des pales
+  rHub:    0.0052,  // m rayon du moyeu
+};
+
+export const FAN_COUNT = 2;
+
+/** Point de fonctionnement d'un ventilateur : { rpm, airflow (m³/h), velocity (m/s), power (W) } */
+export function fanOperating(rpm, relay = true, f = FAN_50MM) {
+  const n = relay ? Math.min(Math.max(rpm, 0), f.rpmMax) : 0;
+  const k = n / f.rpmMax;
+  const airflow = f.qMax * k;
+  const area = Math.PI * (f.R * f.R - f.rHub * f.rHub);
+  return {
+    rpm: n,
+    airflow,
+    velocity: airflow / 3600 / area,
+    power: f.pMax * k * k * k,
+  };
+}
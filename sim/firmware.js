@@ -0,0 +1,23 @@
+/**
+ * sim/firmware.js
+ * Menu du firmware ESP32 — face avant du module Sorbant
+ *
+ *   BTN1 (rouge) : marche / arrêt. À l'arrêt l'OLED s'éteint et les
+ *                  relais sont coupés ; au redémarrage, retour page 1.
+ *   BTN2 (vert)  : bascule AUTO ↔ MANUEL (ignoré à l'arrêt).
+ *                  AUTO   : volets / vitre suivent le cycle CaCl₂
+ *                  MANUEL : la tringlerie reste à la pose courante
+ * Les pages de l'OLED défilent toutes les PAGE_S secondes.
+ */
+
+export const OLED_PAGES = ['AMBIANCE', 'RESERVOIR', 'BATTERIE', 'CYCLE'];
+export const PAGE_S = 4;
+
+/** Nouvel état { power, mode, page } après appui sur `id` */
+export function pressButton(device, id) {
+  if (id === 'btn1') return { ...device, power: !device.power, page: 0 };
+  if (id === 'btn2' && device.power) {
+    return { ...device, mode: device.mode === 'auto' ? 'manuel' : 'auto' };
+  }
+  return device;
+}
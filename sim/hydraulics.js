@@ -0,0 +1,119 @@
+/**
+ * sim/hydraulics.js
+ * Modèle hydraulique de la filtration 4 étapes — écoulement gravitaire
+ *
+ * Pertes de charge en série (hauteur d'eau, cm), débit Q en L/h :
+ *   tuyaux      : Poiseuille (laminaire aux débits du condensat)
+ *                 Δh = 128·μ·L·q / (π·ρ·g·D⁴) + K_RACCORD·v²/2g
+ *   cartouches  : milieu poreux (Darcy) Δh = R(V)·Q, R croissant avec le
+ *                 volume filtré cumulé V (colmatage) : R = R0·(1 + c·V/life)
+ *   capteurs, UV-C : pertes singulières Δh = K·v²/2g (v dans le tuyau)
+ * Débit gravitaire : Q tel que Σ Δh(Q) = charge disponible (bissection,
+ * Σ Δh croissante en Q).
+ * Unités : cm, L/h, L ; eau à 20 °C.
+ */
+
+const MU = 0.01;          // g/(cm·s) viscosité dynamique de l'eau à 20 °C
+const G  = 981;           // cm/s²
+const K_RACCORD = 1.0;    // entrée + sortie de chaque tuyau (embouts cannelés)
+const Q_MAX = 600;        // L/h — borne haute de la recherche
+
+/**
+ * Étapes dans le sens d'écoulement (parts.js) :
+ *   r0   : résistance cartouche neuve, cm / (L/h) — fiche à 60 L/h (1 L/min)
+ *   life : volume nominal de la cartouche (L) ; clog : hausse de R à life
+ *   k    : perte singulière (× v²/2g)
+ */
+export const STAGES = [
+  { part: 'yf-s201',        name: 'Débitmètre YF-S201', k: 6 },
+  { part: 'tds',            name: 'Sonde TDS',          k: 0.5 },
+  { part: 'filtre-5um',     name: 'Sédiments 5 µm',     r0: 0.85, life: 1000, clog: 4 },
+  { part: 'filtre-charbon', name: 'Charbon actif',      r0: 1.70, life: 1500, clog: 1 },
+  { part: 'filtre-calcite', name: 'Calcite',            r0: 0.50, life: 2000, clog: 0.3 },
+  { part: 'uvc',            name: 'UV-C',               k: 1.5 },
+];
+
+// Seuil de comptage du YF-S201 (fiche : 1–30 L/min)
+export const FLOWMETER_MIN = 60;  // L/h
+
+const cm3s = (Q) => Q * 1000 / 3600;
+const velocity = (Q, D) => cm3s(Q) / (Math.PI * D * D / 4);   // cm/s
+
+/** Perte d'un tuyau { length, bore } (cm) au débit Q */
+export function tubeLoss({ length, bore }, Q) {
+  const v = velocity(Q, bore);
+  return 128 * MU * length * cm3s(Q) / (Math.PI * G * bore ** 4) + K_RACCORD * v * v / (2 * G);
+}
+
+/** Résistance d'une cartouche après V litres filtrés, cm / (L/h) */
+export function cartridgeR(stage, V) {
+  return stage.r0 * (1 + stage.clog * V / stage.life);
+}
+
+/** Perte d'une étape au débit Q (bore : Ø du tuyau de raccordement, cm) */
+export function stageLoss(stage, Q, V, bore) {
+  if (stage.r0) return cartridgeR(stage, V) * Q;
+  const v = velocity(Q, bore);
+  return stage.k * v * v / (2 * G);
+}
+
+/**
+ * Pertes détaillées au débit Q.
+ * circuit : { stages: [part…], tubes: [{ label, length, bore }] }
+ * Renvoie { total, stages: [{ name, dh }], tubing } (cm)
+ */
+export function headLosses(circuit, Q, V = 0) {
+  const bore = Math.min(...circuit.tubes.map((t) => t.bore));
+  const stages = STAGES.filter((s) => circuit.stages.includes(s.part))
+    .map((s) => ({ name: s.name, part: s.part, dh: stageLoss(s, Q, V, bore) }));
+  const tubing = circuit.tubes.reduce((a, t) => a + tubeLoss(t, Q), 0);
+  return { total: tubing + stages.reduce((a, s) => a + s.dh, 0), stages, tubing };
+}
+
+/** Débit gravitaire (L/h) sous la charge head (cm) après V litres filtrés */
+export function gravityFlow(circuit, head, V = 0) {
+  if (head <= 0) return 0;
+  if (headLosses(circuit, Q_MAX, V).total <= head) return Q_MAX;
+  let lo = 0, hi = Q_MAX;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (headLosses(circuit, mid, V).total > head) hi = mid;
+    else lo = mid;
+  }
+  return lo;
+}
+
+/**
+ * Volume filtré (L) au-delà duquel le débit gravitaire tombe sous need
+ * (L/h) — Infinity si le colmatage ne l'atteint jamais, 0 si déjà le cas.
+ */
+export function clogLimit(circuit, head, need, vMax = 1e5) {
+  if (gravityFlow(circuit, head, 0) < need) return 0;
+  if (gravityFlow(circuit, head, vMax) >= need) return Infinity;
+  let lo = 0, hi = vMax;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (gravityFlow(circuit, head, mid) < need) hi = mid;
+    else lo = mid;
+  }
+  return lo;
+}
+
+/**
+ * Débit de pointe à évacuer (L/h) : heure la plus chargée, voie Peltier
+ * (yield.byHour) + désorption Sorbant (pente du cumul du cycle, à défaut
+ * sa moyenne journalière).
+ */
+export function peakInflow(yieldResult, cycle = null) {
+  if (!yieldResult) return 0;
+  const sorbant = new Array(24).fill(yieldResult.sorbantL / 24);
+  const s = cycle?.samples;
+  if (s?.length > 1) {
+    sorbant.fill(0);
+    for (let i = 1; i < s.length; i++) {
+      const h = Math.min(23, Math.floor(s[i - 1].h));
+      sorbant[h] += Math.max(0, s[i].collected - s[i - 1].collected);
+    }
+  }
+  return Math.max(...yieldResult.byHour.map((q, h) => q + sorbant[h]));
+}
@@ -0,0 +1,52 @@
+/**
+ * sim/psychro.js
+ * Psychrométrie de l'air humide — pression atmosphérique standard
+ *
+ * Unités : T en °C, RH en % (0…100), pressions en Pa,
+ * humidité absolue en kg/m³, rapport de mélange en kg/kg air sec,
+ * enthalpie en kJ/kg air sec.
+ */
+
+export const P_ATM = 101325;   // Pa
+export const R_V   = 461.5;    // J/(kg·K) — constante vapeur d'eau
+export const H_FG  = 2.45e6;   // J/kg — chaleur latente de condensation (~20 °C)
+
+/** Pression de vapeur saturante (Magnus-Tetens, eau liquide / glace) */
+export function pSat(T) {
+  return T >= 0
+    ? 610.94 * Math.exp((17.625 * T) / (T + 243.04))
+    : 611.15 * Math.exp((22.452 * T) / (T + 272.55));
+}
+
+/** Pression partielle de vapeur */
+export function pVap(T, RH) {
+  return pSat(T) * RH / 100;
+}
+
+/** Point de rosée (inverse de Magnus, au-dessus de l'eau) */
+export function dewPoint(T, RH) {
+  const g = Math.log(Math.max(RH, 0.01) / 100) + (17.625 * T) / (T + 243.04);
+  return (243.04 * g) / (17.625 - g);
+}
+
+/** Humidité absolue (masse de vapeur par m³ d'air) */
+export function absHumidity(T, RH) {
+  return pVap(T, RH) / (R_V * (T + 273.15));
+}
+
+/** Densité de vapeur saturante à la température de paroi T */
+export function satDensity(T) {
+  return pSat(T) / (R_V * (T + 273.15));
+}
+
+/** Rapport de mélange w (kg vapeur / kg air sec) */
+export function humidityRatio(T, RH) {
+  const pv = pVap(T, RH);
+  return 0.622 * pv / (P_ATM - pv);
+}
+
+/** Enthalpie de l'air humide h = cp,a·T + w·(L0 + cp,v·T) */
+export function enthalpy(T, RH) {
+  const w = humidityRatio(T, RH);
+  return 1.006 * T + w * (2501 + 1.86 * T);
+}
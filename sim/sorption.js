@@ -0,0 +1,158 @@
+/**
+ * sim/sorption.js
+ * Cycle jour/nuit du lit CaCl₂ — module Sorbant
+ *
+ * Nuit (volets ouverts)  : le tissu coton + CaCl₂ absorbe la vapeur de l'air
+ * Jour (volets fermés)   : soleil à travers la vitre + nappe 12V chauffent
+ *                          le lit → désorption → condensation sous la vitre
+ *                          → gouttière → tuyau
+ *
+ * Isotherme simplifiée : w_eq = W_MAX · φ²  (kg eau / kg CaCl₂)
+ *   φ = humidité relative VUE PAR LE LIT = pv / pSat(T_lit)
+ *   nuit : pv = air extérieur · jour : pv = pSat(T_vitre) (saturé sous la vitre)
+ * Cinétique LDF : dw/dt = k · (w_eq − w)
+ * Bilan lit    : C·dT/dt = solaire + nappe − UA·(T_lit − T_amb) − ṁ·ΔH_sorption
+ *
+ * Ambiance : moyenne (T, HR) de state.ambient, oscillation ±T_SWING
+ * (max à 15 h), humidité absolue constante sur la journée.
+ * Temps en heures dans l'API, pas d'intégration 1 min.
+ */
+
+import { pSat, H_FG } from './psychro.js';
+
+// ── Paramètres du prototype ────────────────────────
+export const SORPTION_DEFAULTS = {
+  salt:      0.6,     // kg CaCl₂ imprégné dans le coton
+  wMax:      2.0,     // kg/kg — coefficient de l'isotherme
+  kAds:      0.15,    // 1/h  absorption (convection naturelle, volets ouverts)
+  kDes:      0.6,     // 1/h  désorption (lit chaud)
+  area:      0.166,   // m²   surface du lit sous la vitre (46 × 36 cm)
+  tauVitre:  0.85,    // transmission plexiglas
+  absorb:    0.9,     // absorptivité tissu noir
+  gMax:      900,     // W/m² irradiance à midi solaire
+  nappeW:    40,      // W   nappe chauffante 12V
+  heatCap:   4500,    // J/K lit + nappe + grille
+  uaOpen:    6,       // W/K pertes volets ouverts
+  uaClosed:  3,       // W/K pertes volets fermés
+  collect:   0.8,     // fraction de vapeur désorbée récupérée dans la gouttière
+  tSwing:    7,       // K amplitude jour/nuit
+  // Plages horaires (h)
+  openFrom:  20, openTo: 8,     // volets ouverts (absorption)
+  heatFrom:  9,  heatTo: 17,    // nappe alimentée (solaire disponible)
+};
+
+const H_SORP = 1.15 * H_FG;  // J/kg — chaleur de sorption CaCl₂ (≈ 1,15 × h_fg)
+const DT     = 60;           // s
+const RECORD = 5;            // min entre deux échantillons enregistrés
+const RAMP   = 1 / 6;        // h — course des volets (10 min)
+
+function inRange(h, from, to) {
+  return from < to ? h >= from && h < to : h >= from || h < to;
+}
+
+/** Irradiance sur la vitre (lever 6 h, coucher 18 h) */
+export function irradiance(h, gMax = SORPTION_DEFAULTS.gMax) {
+  return h > 6 && h < 18 ? gMax * Math.sin(Math.PI * (h - 6) / 12) : 0;
+}
+
+/** Ambiance à l'heure h autour de la moyenne { T, RH } */
+export function ambientAt(h, mean, tSwing = SORPTION_DEFAULTS.tSwing) {
+  const T = mean.T + tSwing * Math.cos(2 * Math.PI * (h - 15) / 24);
+  const pv = pSat(mean.T) * mean.RH / 100;
+  return { T, RH: Math.min(100, 100 * pv / pSat(T)), pv: Math.min(pv, pSat(T)) };
+}
+
+/** Teneur en eau d'équilibre du lit (kg/kg) pour φ ∈ [0, 1] */
+export function uptakeEq(phi, wMax = SORPTION_DEFAULTS.wMax) {
+  const p = Math.min(Math.max(phi, 0), 1);
+  return wMax * p * p;
+}
+
+/**
+ * Simule le cycle périodique sur 24 h (3 jours de mise en régime,
+ * seul le dernier est gardé).
+ * Renvoie { samples: [{ h, Tamb, RHamb, G, Tbed, w, water, open, heat, vapour, collected }],
+ *           dailyL, swingKg, heatWh }
+ */
+export function simulateCycle(mean, opts = {}) {
+  const o = { ...SORPTION_DEFAULTS, ...opts };
+  const stepsDay = Math.round(24 * 3600 / DT);
+
+  let Tbed = mean.T;
+  let w = uptakeEq(mean.RH / 100, o.wMax);
+  let open = 1;
+  let collected = 0, heatWh = 0;
+  let samples = [];
+
+  for (let day = 0; day < 3; day++) {
+    const last = day === 2;
+    if (last) { samples = []; collected = 0; heatWh = 0; }
+
+    for (let s = 0; s < stepsDay; s++) {
+      const h = s * DT / 3600;
+      const amb = ambientAt(h, mean, o.tSwing);
+      const G = irradiance(h, o.gMax);
+      const heatOn = inRange(h, o.heatFrom, o.heatTo);
+      const wantOpen = inRange(h, o.openFrom, o.openTo) ? 1 : 0;
+      open += Math.sign(wantOpen - open) * Math.min(Math.abs(wantOpen - open), DT / 3600 / RAMP);
+
+      // Humidité vue par le lit : air extérieur (ouvert) ou saturé sous la vitre (fermé)
+      const Tvitre = amb.T + 0.3 * (Tbed - amb.T);
+      const pvClosed = Math.min(pSat(Tvitre), pSat(Tbed));
+      const pv = open * amb.pv + (1 - open) * pvClosed;
+      const weq = uptakeEq(pv / pSat(Tbed), o.wMax);
+
+      const k = (weq > w ? o.kAds : o.kDes) / 3600;
+      const dw = k * (weq - w) * DT;             // kg/kg sur le pas
+      const mdot = dw * o.salt / DT;              // kg/s (>0 absorbe, <0 désorbe)
+
+      const Psun = G * o.area * o.tauVitre * o.absorb;
+      const Pnappe = heatOn ? o.nappeW : 0;
+      const ua = o.uaClosed + open * (o.uaOpen - o.uaClosed);
+      Tbed += (Psun + Pnappe - ua * (Tbed - amb.T) + mdot * H_SORP) * DT / o.heatCap;
+      w = Math.max(0, w + dw);
+
+      // Vapeur désorbée volets fermés → condensée sous la vitre
+      const desorbed = Math.max(0, -mdot) * DT;
+      const toGutter = desorbed * (1 - open) * o.collect;
+      collected += toGutter;
+      heatWh += Pnappe * DT / 3600;
+
+      if (last && s % RECORD === 0) {
+        samples.push({
+          h, Tamb: amb.T, RHamb: amb.RH, G, Tbed, w,
+          water: w * o.salt,
+          open,
+          heat: Pnappe > 0,
+          // opacité vapeur : débit de désorption sous vitre fermée (normalisé 0,2 kg/h)
+          vapour: Math.min(1, (desorbed * (1 - open) / DT) * 3600 / 0.2),
+          collected,
+        });
+      }
+    }
+  }
+
+  const waters = samples.map((s) => s.water);
+  return {
+    samples,
+    dailyL: collected,                           // kg ≈ L
+    swingKg: Math.max(...waters) - Math.min(...waters),
+    heatWh,
+  };
+}
+
+/** Échantillon interpolé à l'heure h (0…24) */
+export function sampleAt(cycle, h) {
+  const { samples } = cycle;
+  const step = 24 / samples.length;
+  const x = ((h % 24) + 24) % 24 / step;
+  const i = Math.floor(x), f = x - i;
+  const a = samples[i], b = samples[(i + 1) % samples.length];
+  const out = { ...a, h };
+  for (const k of ['Tamb', 'RHamb', 'G', 'Tbed', 'w', 'water', 'open', 'vapour']) {
+    out[k] = a[k] + (b[k] - a[k]) * f;
+  }
+  // cumul : pas de retour à zéro entre 23:55 et 0:00
+  out.collected = b.collected >= a.collected ? a.collected + (b.collected - a.collected) * f : a.collected;
+  return out;
+}
@@ -0,0 +1,43 @@
+/**
+ * sim/state.js
+ * État partagé de la simulation — AQUA-ATMOS
+ *
+ * Les panneaux (ui/) écrivent via setState(section, patch) ; les vues 3D
+ * lisent `state` à chaque frame. subscribe() notifie les autres panneaux
+ * qui dépendent d'une section (ex. bilan solaire ← courant TEC).
+ */
+
+export const state = {
+  // Contrôleur ESP32 : marche/arrêt, mode, page OLED (sim/firmware.js)
+  device: { power: true, mode: 'auto', page: 0 },
+  // Conditions extérieures (DHT22 extérieur)
+  ambient: { T: 30, RH: 65 },
+  // DHT22 intérieur (chambre Sorbant, sous la vitre)
+  interior: { T: 45, RH: 60 },
+  // Module Peltier : consigne + point de fonctionnement (sim/tec.js)
+  peltier: { current: 4.0, Rhs: 0.45, result: null },
+  // Module Sorbant : cycle 24 h précalculé (sim/sorption.js) + heure rejouée
+  // rig : pose manuelle { servo, louvres } de la tringlerie (null = suit le cycle)
+  sorbant: { h: 10, playing: false, cycle: null, sample: null, rig: null },
+  // Bilan énergétique solaire (sim/energy.js)
+  energy: { result: null, opts: {} },
+  // Rendement journalier combiné (sim/yield.js)
+  yield: { result: null },
+  // Ventilateurs intérieurs Peltier : consigne + relais (sim/fans.js)
+  fans: { rpm: 3500, relay: true },
+  // Réservoir 5 L : niveau 0…1 (initialisé à TANK.fill par ui/tank.js), robinet
+  tank: { level: null, tapOpen: false, flowMl: 0 },
+};
+
+const listeners = new Set();
+
+export function setState(section, patch) {
+  state[section] = { ...state[section], ...patch };
+  for (const fn of listeners) fn(section, state);
+}
+
+/** fn(section, state) — renvoie la fonction de désabonnement */
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
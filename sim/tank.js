@@ -0,0 +1,65 @@
+/**
+ * sim/tank.js
+ * Réservoir 5 L — capteur HC-SR04 virtuel + vidange par le robinet
+ *
+ * HC-SR04 : écho aller-retour t = 2·d / c(T), c(T) = 331,3 + 0,606·T m/s.
+ * Le firmware ESP32 convertit avec c = 343 m/s (20 °C) → légère erreur
+ * en température, résolution 0,3 cm, zone aveugle < 2 cm.
+ *
+ * Robinet : Torricelli Q = Cd · a · √(2 g h), h = hauteur d'eau
+ * au-dessus de la sortie (axe du robinet à tank.outlet cm du fond, relevé
+ * sur la géométrie : TANK / buildTank, modules/reservoir.js).
+ * Longueurs en cm, débits en mL/s, niveau en fraction 0…1.
+ */
+
+export const HCSR04 = {
+  minCm:   2,        // zone aveugle
+  maxCm:   400,
+  resCm:   0.3,
+  cFirmware: 0.0343, // cm/µs — vitesse du son supposée par le firmware
+};
+
+export const TAP = {
+  diameter: 0.6,     // cm — passage du robinet quart de tour
+  cd:       0.6,     // coefficient de décharge
+};
+
+/** Vitesse du son (cm/µs) à T °C */
+export function soundSpeed(T) {
+  return (331.3 + 0.606 * T) * 1e-4;
+}
+
+/**
+ * Lecture du capteur pour une distance réelle capteur → surface.
+ * Renvoie { echoUs, readCm, valid }
+ */
+export function hcsr04Read(distanceCm, T = 20) {
+  const echoUs = (2 * distanceCm) / soundSpeed(T);
+  const raw = (echoUs * HCSR04.cFirmware) / 2;
+  const readCm = Math.round(raw / HCSR04.resCm) * HCSR04.resCm;
+  return { echoUs, readCm, valid: distanceCm >= HCSR04.minCm && distanceCm <= HCSR04.maxCm };
+}
+
+// Seuils d'alarme : trop-plein (fraction de H), vide (cm au-dessus de la sortie)
+export const TANK_LIMITS = { overflow: 0.92, emptyCm: 0.5 };
+
+/** État d'alarme (tank : { H, outlet }) : 'overflow' | 'empty' (robinet à sec) | 'ok' */
+export function tankStatus(level, { H, outlet }) {
+  if (level >= TANK_LIMITS.overflow) return 'overflow';
+  if (level * H <= outlet + TANK_LIMITS.emptyCm) return 'empty';
+  return 'ok';
+}
+
+/**
+ * Pas de vidange robinet ouvert.
+ * tank : { W, H, D, outlet } en cm (applyTankLevel) — renvoie { level, flowMl }
+ * (flowMl en mL/s)
+ */
+export function drainStep(level, dt, { W, H, D, outlet }) {
+  const head = level * H - outlet;                     // cm au-dessus de la sortie
+  if (head <= 0) return { level, flowMl: 0 };
+  const a = Math.PI * (TAP.diameter / 2) ** 2;          // cm²
+  const flowMl = TAP.cd * a * Math.sqrt(2 * 981 * head); // cm³/s
+  const dLevel = (flowMl * dt) / (W * D * H);
+  return { level: Math.max(outlet / H, level - dLevel), flowMl };
+}
@@ -0,0 +1,103 @@
+/**
+ * sim/tec.js
+ * Modèle thermoélectrique TEC1-12706 — module Peltier (×4)
+ *
+ * Paramètres module dérivés de la fiche technique (Th = 50 °C) :
+ *   Imax = 6.4 A · Vmax = 16.4 V · ΔTmax = 75 K
+ *   α = Vmax/Th · R = (Th−ΔTmax)·Vmax/(Imax·Th) · K = (Th−ΔTmax)·Vmax·Imax/(2·Th·ΔTmax)
+ *
+ * Bilan par TEC (températures en K dans les équations) :
+ *   Qc  = α·I·Tc − ½·I²·R − K·(Th − Tc)       puissance froide
+ *   P   = α·I·(Th − Tc) + I²·R                puissance électrique
+ *   Qh  = Qc + P                              rejetée côté chaud
+ *   Th  = Tamb + Rhs·Qh                       dissipateur + ventilateur
+ *   Qc  = hA·(Tair − Tc) + ṁ·h_fg             charge côté froid
+ *   ṁ   = hm·A·(ρv,air − ρv,sat(Tc))          condensation (si Tc < Tdew)
+ * hm par analogie de Lewis : hm = h / (ρ·cp·Le^⅔).
+ *
+ * Températures en °C en entrée/sortie, puissances en W.
+ */
+
+import { dewPoint, absHumidity, satDensity, H_FG } from './psychro.js';
+
+const K0 = 273.15;
+
+// ── TEC1-12706 ─────────────────────────────────────
+export const TEC1_12706 = {
+  alpha: 0.0508,   // V/K   coefficient Seebeck module
+  R:     1.97,     // Ω     résistance électrique
+  K:     0.54,     // W/K   conductance thermique
+  Imax:  6.4,      // A
+  Vmax:  16.4,     // V
+};
+
+// ── Échangeurs (valeurs par défaut du prototype) ───
+export const TEC_DEFAULTS = {
+  count:    4,       // TECs dans le module
+  current:  4.0,     // A par TEC
+  supply:   12,      // V — rail batterie
+  Rhs:      0.45,    // K/W dissipateur ailettes + ventilateur (côté chaud)
+  hCold:    18,      // W/(m²·K) convection forcée (ventilateurs intérieurs)
+  aCold:    0.018,   // m² surface froide utile par TEC (plaque + ailettes)
+};
+
+const RHO_CP_LE = 1.2 * 1006 * 0.89; // ρ·cp·Le^⅔ de l'air (J/(m³·K))
+
+/** Bilan électrique/thermique du TEC pour Tc, Th donnés (°C) */
+export function tecBalance(I, Tc, Th, p = TEC1_12706) {
+  const tc = Tc + K0, th = Th + K0, dT = th - tc;
+  const Qc = p.alpha * I * tc - 0.5 * I * I * p.R - p.K * dT;
+  const P  = p.alpha * I * dT + I * I * p.R;
+  const V  = p.alpha * dT + I * p.R;
+  return { Qc, P, V, Qh: Qc + P, cop: P > 0 ? Qc / P : 0 };
+}
+
+/** Charge côté froid : sensible + latente (kg/s condensé par TEC) */
+function coldLoad(Tc, Tair, rhoVair, h, A) {
+  const sensible = h * A * (Tair - Tc);
+  const mdot = Math.max(0, (h / RHO_CP_LE) * A * (rhoVair - satDensity(Tc)));
+  return { Q: sensible + mdot * H_FG, mdot };
+}
+
+/**
+ * Point de fonctionnement stationnaire.
+ * cond = { T, RH } ambiante ; opts surcharge TEC_DEFAULTS.
+ */
+export function solveTec(cond, opts = {}) {
+  const o = { ...TEC_DEFAULTS, ...opts };
+  const I = Math.min(Math.max(o.current, 0), TEC1_12706.Imax);
+  const Tair = cond.T;
+  const rhoVair = absHumidity(cond.T, cond.RH);
+
+  let Th = Tair + 5;
+  let Tc = Tair, load = { Q: 0, mdot: 0 }, b = tecBalance(I, Tc, Th);
+
+  for (let it = 0; it < 40; it++) {
+    // f(Tc) = Qc_tec − Q_charge, croissante en Tc → bissection
+    let lo = Tair - 90, hi = Tair + 30;
+    for (let k = 0; k < 60; k++) {
+      const mid = (lo + hi) / 2;
+      const f = tecBalance(I, mid, Th).Qc - coldLoad(mid, Tair, rhoVair, o.hCold, o.aCold).Q;
+      if (f > 0) hi = mid; else lo = mid;
+    }
+    Tc = (lo + hi) / 2;
+    b = tecBalance(I, Tc, Th);
+    load = coldLoad(Tc, Tair, rhoVair, o.hCold, o.aCold);
+    const ThNew = Tair + o.Rhs * Math.max(b.Qh, 0);
+    if (Math.abs(ThNew - Th) < 1e-4) break;
+    Th += 0.6 * (ThNew - Th);
+  }
+
+  const Tdew = dewPoint(cond.T, cond.RH);
+  const perTecLh = load.mdot * 3600; // kg/h ≈ L/h
+  return {
+    I, Tc, Th, dT: Th - Tc, Tdew,
+    Qc: b.Qc, P: b.P, V: b.V, cop: b.cop,
+    overVoltage: b.V > o.supply,
+    powerW: b.P * o.count,
+    currentA: I * o.count,
+    condLh: perTecLh * o.count,
+    condensing: Tc < Tdew,
+    frost: Tc < 0,
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * sim/yield.js
+ * Rendement en eau journalier — voies Peltier + Sorbant combinées
+ *
+ * Peltier : point de fonctionnement TEC (sim/tec.js) recalculé heure par
+ *           heure sur la fenêtre d'alimentation des TECs, ambiance
+ *           jour/nuit autour de la moyenne (sim/sorption.js → ambientAt).
+ * Sorbant : collecte journalière du cycle CaCl₂ (simulateCycle).
+ * Les deux voies se rejoignent au T de l'assemblage → réservoir 5 L.
+ * Volumes en L (1 kg d'eau ≈ 1 L).
+ */
+
+import { solveTec } from './tec.js';
+import { ambientAt, simulateCycle } from './sorption.js';
+import { ENERGY_DEFAULTS } from './energy.js';
+
+function inRange(h, from, to) {
+  return from < to ? h >= from && h < to : h >= from || h < to;
+}
+
+/**
+ * mean : ambiance moyenne { T, RH } (DHT22 extérieur)
+ * opts : { current, Rhs, tecFrom, tecTo, cycle? } — cycle : simulateCycle() déjà calculé
+ * Renvoie { peltierL, sorbantL, totalL, tecHours, byHour: [L/h Peltier] }
+ */
+export function estimateYield(mean, opts = {}) {
+  const { current, Rhs, tecFrom = ENERGY_DEFAULTS.tecFrom, tecTo = ENERGY_DEFAULTS.tecTo } = opts;
+
+  const byHour = [];
+  let tecHours = 0;
+  for (let h = 0; h < 24; h++) {
+    if (!inRange(h, tecFrom, tecTo)) { byHour.push(0); continue; }
+    tecHours++;
+    const { T, RH } = ambientAt(h + 0.5, mean);
+    byHour.push(solveTec({ T, RH }, { current, Rhs }).condLh);
+  }
+  const peltierL = byHour.reduce((a, b) => a + b, 0);
+  const sorbantL = (opts.cycle ?? simulateCycle(mean)).dailyL;
+
+  return {
+    peltierL,
+    sorbantL,
+    totalL: peltierL + sorbantL,
+    tecHours,
+    byHour,
+  };
+}
+
+/** Durée (h) pour remplir `volumeL` au débit journalier `perDayL` */
+export function fillHours(volumeL, perDayL) {
+  return perDayL > 0 ? (24 * volumeL) / perDayL : Infinity;
+}
@@ -0,0 +1,93 @@
+/**
+ * ui/bom.js
+ * Panneau « Nomenclature » — BOM du module affiché (modules/bom.js)
+ *
+ * Tableau quantités / prix unitaires modifiables / totaux, recalculé à
+ * chaque changement de vue ou de cotes (render()). Les prix saisis sont
+ * conservés par clé de ligne et repris dans les exports CSV et JSON.
+ */
+
+import { collectBom, bomToCsv, bomToJson } from '../modules/bom.js';
+import { panel, readout, download, fmt } from './dom.js';
+
+const SECTIONS = { composant: 'Composants', plaque: 'Plaques (surface)', tube: 'Tubes & câbles (longueur)' };
+
+export function initBomPanel({ getRoot, getId }) {
+  const el = panel('bom-panel', 'NOMENCLATURE (BOM)', '');
+  el.classList.add('collapsed');
+
+  const table = document.createElement('table');
+  table.className = 'bom-table';
+  el.appendChild(table);
+  const total = readout(el, 'Total estimé');
+
+  const bar = document.createElement('div');
+  bar.className = 'cycle-bar';
+  const csv = document.createElement('button');
+  csv.className = 'btn-small';
+  csv.textContent = '⇣ CSV';
+  const json = document.createElement('button');
+  json.className = 'btn-small';
+  json.textContent = '⇣ JSON';
+  bar.append(csv, json);
+  el.appendChild(bar);
+
+  const prices = {}; // key → prix unitaire saisi
+  let lines = [];
+
+  function renderTotal() {
+    const sum = lines.reduce((s, l) => s + (prices[l.key] ?? l.price) * l.qty, 0);
+    total(`${fmt(sum, 2)} €`);
+  }
+
+  function render() {
+    const root = getRoot();
+    lines = root ? collectBom(root) : [];
+    table.replaceChildren();
+    let section = null;
+    for (const l of lines) {
+      if (l.category !== section) {
+        section = l.category;
+        const th = table.insertRow().insertCell();
+        th.colSpan = 4;
+        th.className = 'bom-section';
+        th.textContent = SECTIONS[section];
+      }
+      const tr = table.insertRow();
+      const name = tr.insertCell();
+      name.textContent = l.designation;
+      name.title = [l.ref, l.detail].filter(Boolean).join(' · ');
+      tr.insertCell().textContent = l.unit === 'pcs' ? `${l.qty}×` : `${fmt(l.qty, 2)} ${l.unit}`;
+
+      const inp = document.createElement('input');
+      inp.type = 'number';
+      inp.min = 0; inp.step = 0.1;
+      inp.value = prices[l.key] ?? l.price;
+      inp.title = `€ / ${l.unit}`;
+      tr.insertCell().appendChild(inp);
+      const sub = tr.insertCell();
+      const renderRow = () => { sub.textContent = `${fmt((prices[l.key] ?? l.price) * l.qty, 2)} €`; };
+      inp.addEventListener('change', () => {
+        const v = Math.max(0, Number(inp.value));
+        if (!Number.isFinite(v)) return;
+        inp.value = prices[l.key] = v;
+        renderRow();
+        renderTotal();
+      });
+      renderRow();
+    }
+    renderTotal();
+  }
+
+  csv.addEventListener('click', () => {
+    render();
+    // BOM UTF-8 : accents lus correctement par Excel
+    download(`bom-${getId()}.csv`, '\uFEFF' + bomToCsv(lines, prices), 'text/csv;charset=utf-8');
+  });
+  json.addEventListener('click', () => {
+    render();
+    download(`bom-${getId()}.json`, bomToJson(lines, prices, getId()), 'application/json');
+  });
+
+  return { render };
+}
@@ -0,0 +1,120 @@
+/**
+ * ui/clearance.js
+ * Panneau « Interférences » — collisions et jeux du module affiché
+ * (modules/clearance.js)
+ *
+ * Seuil de jeu (cm) saisi ; liste des couples en collision (rouge) ou
+ * sous le seuil (orange), pièces concernées surlignées en rouge dans la
+ * scène avec le segment de jeu mini. Ports du réseau eau manquants ou
+ * injoignables (modules/ports.js) signalés dans l'alerte. Calcul à
+ * l'ouverture du panneau et à chaque changement de vue ou de cotes
+ * (render()) ; refresh() : recalcul limité (vue éclatée animée,
+ * masquages de l'arborescence).
+ */
+
+import * as THREE from 'three';
+import { checkClearance } from '../modules/clearance.js';
+import { routeErrors } from '../modules/ports.js';
+import { panel, numberField, readout, alertBox, fmt } from './dom.js';
+
+const RED = 0xd50000;
+const MAX_ROWS = 30;
+
+/** Arêtes rouges des pièces + segments de jeu (repère de root, helpers) */
+function buildMarker(root, pairs, mat) {
+  const g = new THREE.Group();
+  g.userData.isHelper = true;
+  const inv = root.matrixWorld.clone().invert();
+  const done = new Set();
+  const add = (o) => {
+    o.renderOrder = 999;
+    o.userData.isHelper = true;
+    o.raycast = () => {};
+    g.add(o);
+  };
+  for (const pr of pairs) {
+    for (const m of pr.meshes) {
+      if (done.has(m)) continue;
+      done.add(m);
+      const ln = new THREE.LineSegments(new THREE.EdgesGeometry(m.geometry, 20), mat);
+      ln.matrixAutoUpdate = false;
+      ln.matrix.multiplyMatrices(inv, m.matrixWorld);
+      add(ln);
+    }
+    const seg = [pr.p, pr.q].map((v) => v.clone().applyMatrix4(inv));
+    add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(seg), mat));
+  }
+  root.add(g);
+  return g;
+}
+
+export function initClearancePanel({ getRoot }) {
+  const el = panel('clearance-panel', 'INTERFÉRENCES', '');
+  el.classList.add('collapsed');
+
+  const threshold = numberField(el, 'Jeu minimal', 0.5, { min: 0, max: 5, step: 0.1, unit: 'cm' }, () => render());
+  const out = {
+    hits: readout(el, 'Collisions'),
+    near: readout(el, 'Jeux sous le seuil'),
+  };
+  const sep = document.createElement('div');
+  sep.className = 'panel-sep';
+  el.appendChild(sep);
+  const listEl = document.createElement('div');
+  el.appendChild(listEl);
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  el.appendChild(note);
+  const warn = alertBox(el);
+
+  let marker = null;
+  // matériau partagé par tous les marqueurs (refresh() pendant la vue éclatée)
+  const markMat = new THREE.LineBasicMaterial({ color: RED, depthTest: false, transparent: true });
+
+  function clearMarker() {
+    if (!marker) return;
+    marker.parent?.remove(marker);
+    marker.traverse((o) => o.geometry?.dispose());
+    marker = null;
+  }
+
+  function render() {
+    clearMarker();
+    const root = getRoot();
+    if (!root || el.classList.contains('collapsed')) return;
+
+    const pairs = checkClearance(root, Number(threshold.value));
+    const hits = pairs.filter((p) => p.collision).length;
+    out.hits(String(hits), hits ? 'alert' : '');
+    out.near(String(pairs.length - hits), pairs.length > hits ? 'warn' : '');
+
+    listEl.replaceChildren();
+    for (const p of pairs.slice(0, MAX_ROWS)) {
+      readout(listEl, `${p.a} ↔ ${p.b}`)(
+        p.collision ? `collision ${fmt(-p.gap)} cm` : `jeu ${fmt(p.gap)} cm`,
+        p.collision ? 'alert' : 'warn');
+    }
+    note.textContent = [
+      pairs.length > MAX_ROWS ? `… ${pairs.length - MAX_ROWS} autre(s) couple(s).` : '',
+      'Boîtes orientées des pièces (jeu minoré) ; tubes le long de leur courbe, raccords exclus.',
+    ].filter(Boolean).join(' ');
+    warn([
+      hits ? `${hits} interférence(s) : pièces surlignées en rouge.` : '',
+      ...routeErrors(root).map((e) => `Raccordement : ${e}`),
+    ].filter(Boolean).join('\n'));
+
+    if (pairs.length) marker = buildMarker(root, pairs, markMat);
+  }
+
+  el.querySelector('.panel-title').addEventListener('click', render);
+  let pending = null;
+
+  return {
+    render,
+    /** Recalcul différé (appels rapprochés regroupés) */
+    refresh() {
+      if (pending) return;
+      pending = setTimeout(() => { pending = null; render(); }, 250);
+    },
+  };
+}
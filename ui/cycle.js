@@ -0,0 +1,156 @@
+/**
+ * ui/cycle.js
+ * Panneau « Cycle CaCl₂ 24 h » — chronologie jour/nuit du module Sorbant
+ *
+ * Le cycle périodique est précalculé (sim/sorption.js) à partir de
+ * l'ambiance moyenne, puis rejoué : lecture/pause, vitesse (h simulées
+ * par seconde) et curseur de temps. L'échantillon courant est publié
+ * dans state.sorbant → main.js l'applique à la géométrie (volets,
+ * nappe, vapeur).
+ * Appareil à l'arrêt (state.device.power) : nappe hors tension dans le
+ * cycle recalculé, lecture figée (servo des volets sans alimentation).
+ */
+
+import { simulateCycle, sampleAt } from '../sim/sorption.js';
+import { state, setState, subscribe } from '../sim/state.js';
+import { panel, readout, fmt } from './dom.js';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4]; // h simulées / s
+
+function hhmm(h) {
+  const m = Math.floor((((h % 24) + 24) % 24) * 60);
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// ── Courbe 24 h : eau dans le lit + T lit, bandes nuit/nappe ──
+function drawChart(cv, cycle, h) {
+  const ctx = cv.getContext('2d');
+  const { width: w, height: ht } = cv;
+  const S = cycle.samples;
+  const x = (hh) => (hh / 24) * w;
+  ctx.clearRect(0, 0, w, ht);
+
+  // bandes : volets ouverts (bleu), nappe (orange)
+  S.forEach((s, i) => {
+    const x0 = x(s.h), x1 = x(S[i + 1]?.h ?? 24);
+    if (s.open > 0.5) { ctx.fillStyle = 'rgba(0,102,170,0.08)'; ctx.fillRect(x0, 0, x1 - x0, ht); }
+    if (s.heat) { ctx.fillStyle = 'rgba(255,90,31,0.14)'; ctx.fillRect(x0, ht - 6, x1 - x0, 6); }
+  });
+
+  const line = (key, color, min, max) => {
+    ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    S.forEach((s, i) => {
+      const y = ht - 8 - ((s[key] - min) / (max - min || 1)) * (ht - 16);
+      i ? ctx.lineTo(x(s.h), y) : ctx.moveTo(x(s.h), y);
+    });
+    ctx.stroke();
+  };
+  const water = S.map((s) => s.water);
+  line('water', '#1a8040', Math.min(...water), Math.max(...water));
+  line('Tbed', '#c0392b', Math.min(...S.map((s) => s.Tamb)), Math.max(...S.map((s) => s.Tbed)));
+
+  // graduations 0 / 6 / 12 / 18 h
+  ctx.fillStyle = 'rgba(0,0,0,0.35)';
+  ctx.font = '9px monospace';
+  for (const hh of [6, 12, 18]) ctx.fillText(String(hh), x(hh) - 5, 9);
+
+  // curseur
+  ctx.strokeStyle = '#0066aa'; ctx.lineWidth = 1;
+  ctx.beginPath(); ctx.moveTo(x(h), 0); ctx.lineTo(x(h), ht); ctx.stroke();
+}
+
+export function initCyclePanel() {
+  const el = panel('cycle-panel', 'CYCLE CaCl₂ — 24 h', 'sorbant assemblage');
+
+  // ── Transport : lecture / heure / vitesse ──
+  const bar = document.createElement('div');
+  bar.className = 'cycle-bar';
+  const play = document.createElement('button');
+  play.className = 'btn-small';
+  const clock = document.createElement('span');
+  clock.className = 'cycle-clock';
+  const speed = document.createElement('select');
+  for (const s of SPEEDS) speed.add(new Option(`×${s} h/s`, s, s === 1, s === 1));
+  bar.append(play, clock, speed);
+  el.appendChild(bar);
+
+  const scrub = document.createElement('input');
+  scrub.type = 'range';
+  scrub.className = 'cycle-scrub';
+  scrub.min = 0; scrub.max = 24; scrub.step = 0.05;
+  el.appendChild(scrub);
+
+  const cv = document.createElement('canvas');
+  cv.className = 'panel-chart';
+  cv.width = 260; cv.height = 80;
+  el.appendChild(cv);
+
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  note.textContent = 'vert : eau dans le lit · rouge : T lit · bleu : volets ouverts · orange : nappe';
+  el.appendChild(note);
+
+  const out = {
+    phase:  readout(el, 'Phase'),
+    amb:    readout(el, 'Ambiance'),
+    bed:    readout(el, 'T lit'),
+    water:  readout(el, 'Eau dans le lit'),
+    volets: readout(el, 'Volets'),
+    nappe:  readout(el, 'Nappe 12V'),
+    coll:   readout(el, 'Collecté (depuis 0 h)'),
+    day:    readout(el, 'Bilan journalier'),
+  };
+
+  let h = state.sorbant.h;
+  let playing = state.sorbant.playing;
+
+  function render(s) {
+    const { cycle } = state.sorbant;
+    clock.textContent = hhmm(h);
+    scrub.value = h;
+    play.textContent = playing ? '⏸' : '▶';
+    drawChart(cv, cycle, h);
+
+    out.phase(s.open > 0.5 ? 'Absorption' : s.vapour > 0.02 ? 'Désorption' : 'Attente',
+      s.open > 0.5 ? '' : s.vapour > 0.02 ? 'warn' : '');
+    out.amb(`${fmt(s.Tamb)} °C · ${fmt(s.RHamb, 0)} %`);
+    out.bed(`${fmt(s.Tbed)} °C`, s.Tbed > 90 ? 'alert' : '');
+    out.water(`${fmt(s.water * 1000, 0)} g (${fmt(s.w, 2)} kg/kg)`);
+    out.volets(`${fmt(s.open * 100, 0)} % ouverts`);
+    out.nappe(s.heat ? 'ON' : 'OFF');
+    out.coll(`${fmt(s.collected * 1000, 0)} mL`);
+    out.day(`${fmt(cycle.dailyL, 2)} L/j · nappe ${fmt(cycle.heatWh, 0)} Wh`);
+  }
+
+  function seek(hh) {
+    h = ((hh % 24) + 24) % 24;
+    const sample = sampleAt(state.sorbant.cycle, h);
+    setState('sorbant', { h, playing, sample });
+    render(sample);
+  }
+
+  function recompute() {
+    const opts = state.device.power ? {} : { nappeW: 0 };
+    setState('sorbant', { cycle: simulateCycle(state.ambient, opts) });
+    seek(h);
+  }
+
+  play.addEventListener('click', () => { playing = !playing; seek(h); });
+  scrub.addEventListener('input', () => seek(Number(scrub.value)));
+  let power = state.device.power;
+  subscribe((section) => {
+    if (section === 'ambient') recompute();
+    if (section === 'device' && state.device.power !== power) {
+      power = state.device.power;
+      recompute();
+    }
+  });
+  recompute();
+
+  return {
+    update(dt) {
+      if (playing && state.device.power) seek(h + dt * Number(speed.value));
+    },
+  };
+}
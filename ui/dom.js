@@ -0,0 +1,92 @@
+/**
+ * ui/dom.js
+ * Petits constructeurs DOM partagés par les panneaux latéraux
+ */
+
+/**
+ * Panneau repliable ajouté à #side-panels.
+ * forModules : ids séparés par des espaces (data-for-module) ou '' = toujours visible
+ */
+export function panel(id, title, forModules = '') {
+  const el = document.createElement('div');
+  el.id = id;
+  el.className = 'panel';
+  if (forModules) {
+    el.dataset.forModule = forModules;
+    el.style.display = 'none';
+  }
+  const t = document.createElement('div');
+  t.className = 'panel-title panel-toggle';
+  t.textContent = title;
+  t.addEventListener('click', () => el.classList.toggle('collapsed'));
+  el.appendChild(t);
+  document.getElementById('side-panels').appendChild(el);
+  return el;
+}
+
+/** Champ numérique libellé ; onChange(valeur) sur validation */
+export function numberField(parent, label, value, { min, max, step = 1, unit = '' }, onChange) {
+  const r = document.createElement('div');
+  r.className = 'field-row';
+  const lab = document.createElement('label');
+  lab.textContent = label;
+  const inp = document.createElement('input');
+  inp.type = 'number';
+  inp.min = min; inp.max = max; inp.step = step;
+  inp.value = value;
+  const u = document.createElement('span');
+  u.className = 'param-unit';
+  u.textContent = unit;
+  inp.addEventListener('change', () => {
+    const v = Math.min(max, Math.max(min, Number(inp.value)));
+    if (!Number.isFinite(v)) return;
+    inp.value = v;
+    onChange(v);
+  });
+  r.append(lab, inp, u);
+  parent.appendChild(r);
+  return inp;
+}
+
+/** Ligne de résultat ; renvoie set(texte, niveau?) — niveau : '' | 'warn' | 'alert' */
+export function readout(parent, label) {
+  const r = document.createElement('div');
+  r.className = 'readout';
+  const lab = document.createElement('span');
+  lab.textContent = label;
+  const val = document.createElement('span');
+  val.className = 'readout-val';
+  r.append(lab, val);
+  parent.appendChild(r);
+  return (text, level = '') => {
+    val.textContent = text;
+    val.dataset.level = level;
+  };
+}
+
+/** Bandeau d'alerte (masqué si texte vide) */
+export function alertBox(parent) {
+  const el = document.createElement('div');
+  el.className = 'panel-alert';
+  el.style.display = 'none';
+  parent.appendChild(el);
+  return (text) => {
+    el.textContent = text;
+    el.style.display = text ? '' : 'none';
+  };
+}
+
+/** Téléchargement d'un fichier généré (texte, ArrayBuffer, DataView…) */
+export function download(name, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Format numérique fr (virgule décimale) */
+export function fmt(v, digits = 1) {
+  return v.toLocaleString('fr-FR', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
@@ -0,0 +1,136 @@
+/**
+ * ui/energy.js
+ * Panneau « Bilan énergie » — vue ASSEMBLAGE
+ *
+ * Recalcule sim/energy.js quand l'ambiance ou le point de
+ * fonctionnement des TECs change (state.peltier.result.powerW), et à la
+ * marche / arrêt (state.device.power : charges hors ESP32 coupées) ;
+ * ventilateurs à la vitesse et au relais de state.fans (sim/fans.js).
+ * Graphe 24 h : production PV (barres), consommation (rouge),
+ * état de charge batterie (vert), énergie non fournie (hachures).
+ */
+
+import { simulateEnergy, ENERGY_DEFAULTS } from '../sim/energy.js';
+import { fanOperating, FAN_COUNT } from '../sim/fans.js';
+import { state, setState, subscribe } from '../sim/state.js';
+import { panel, numberField, readout, alertBox, fmt } from './dom.js';
+
+function drawChart(cv, r) {
+  const ctx = cv.getContext('2d');
+  const { width: w, height: ht } = cv;
+  const H = r.hours;
+  const bw = w / 24;
+  const top = Math.max(1, ...H.map((x) => Math.max(x.pv, x.load)));
+  const y = (p) => ht - 4 - (p / top) * (ht - 12);
+  ctx.clearRect(0, 0, w, ht);
+
+  for (const x of H) {
+    ctx.fillStyle = 'rgba(230,170,0,0.55)';
+    ctx.fillRect(x.h * bw + 1, y(x.pv), bw - 2, ht - 4 - y(x.pv));
+    if (x.unmet > 0) {
+      ctx.fillStyle = 'rgba(198,40,40,0.18)';
+      ctx.fillRect(x.h * bw, y(x.load), bw, y(x.load - x.unmet) - y(x.load));
+    }
+  }
+
+  const line = (get, color) => {
+    ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    H.forEach((x, i) => {
+      const px = (x.h + 0.5) * bw;
+      i ? ctx.lineTo(px, get(x)) : ctx.moveTo(px, get(x));
+    });
+    ctx.stroke();
+  };
+  line((x) => y(x.load), '#c62828');
+  line((x) => ht - 4 - x.soc * (ht - 12), '#1a8040');
+
+  ctx.fillStyle = 'rgba(0,0,0,0.35)';
+  ctx.font = '9px monospace';
+  ctx.fillText(`${fmt(top, 0)} W`, 2, 9);
+  for (const hh of [6, 12, 18]) ctx.fillText(String(hh), hh * bw - 5, ht - 6);
+}
+
+export function initEnergyPanel() {
+  const el = panel('energy-panel', 'BILAN ÉNERGIE SOLAIRE', 'assemblage');
+  const opts = {};
+  const D = ENERGY_DEFAULTS;
+
+  const field = (label, key, range) =>
+    numberField(el, label, D[key], range, (v) => { opts[key] = v; recompute(); });
+  field('Panneau', 'panelWp', { min: 10, max: 300, step: 5, unit: 'Wc' });
+  field('Irradiance midi', 'gMax', { min: 200, max: 1100, step: 50, unit: 'W/m²' });
+  field('Batterie', 'batAh', { min: 2, max: 100, step: 1, unit: 'Ah' });
+  field('TECs de', 'tecFrom', { min: 0, max: 23, step: 1, unit: 'h' });
+  field('TECs à', 'tecTo', { min: 0, max: 24, step: 1, unit: 'h' });
+
+  const cv = document.createElement('canvas');
+  cv.className = 'panel-chart';
+  cv.width = 260; cv.height = 80;
+  el.appendChild(cv);
+
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  note.textContent = 'jaune : PV · rouge : charges · vert : SOC batterie';
+  el.appendChild(note);
+
+  const out = {
+    verdict:  readout(el, 'Verdict'),
+    pv:       readout(el, 'Production PV'),
+    load:     readout(el, 'Consommation'),
+    deficit:  readout(el, 'Déficit'),
+    spilled:  readout(el, 'Excédent perdu'),
+    soc:      readout(el, 'SOC mini'),
+    autonomy: readout(el, 'Autonomie nuit'),
+  };
+
+  const sep = document.createElement('div');
+  sep.className = 'panel-sep';
+  el.appendChild(sep);
+  const loadsEl = document.createElement('div');
+  el.appendChild(loadsEl);
+
+  const verdict = alertBox(el);
+
+  function render(r) {
+    drawChart(cv, r);
+    out.verdict(r.viable ? 'Autonome' : 'Déficitaire', r.viable ? '' : 'alert');
+    out.pv(`${fmt(r.pvWh, 0)} Wh/j`);
+    out.load(`${fmt(r.loadWh, 0)} Wh/j`, r.loadWh > r.pvWh ? 'warn' : '');
+    out.deficit(`${fmt(r.deficitWh, 0)} Wh/j`, r.viable ? '' : 'alert');
+    out.spilled(`${fmt(r.spilledWh, 0)} Wh/j`);
+    out.soc(`${fmt(r.socMin * 100, 0)} %`, r.socMin <= 1 - ENERGY_DEFAULTS.dod + 0.01 ? 'warn' : '');
+    out.autonomy(Number.isFinite(r.autonomyH) ? `${fmt(r.autonomyH)} h` : '∞');
+
+    loadsEl.replaceChildren();
+    for (const l of r.loads) {
+      readout(loadsEl, l.label)(`${fmt(r.byLoadWh[l.id], 1)} Wh/j`);
+    }
+
+    verdict(r.viable
+      ? ''
+      : `Non autonome : ${fmt(r.deficitWh, 0)} Wh/j non fournis ` +
+        `(${fmt(100 * r.deficitWh / r.loadWh, 0)} % des charges). ` +
+        `Batterie utile ${fmt(r.usableWh, 0)} Wh.`);
+  }
+
+  function recompute() {
+    const tecW = state.peltier.result?.powerW ?? 0;
+    const fanW = fanOperating(state.fans.rpm, state.fans.relay).power * FAN_COUNT;
+    const result = simulateEnergy(state.ambient, tecW, { ...opts, power: state.device.power, fanW });
+    setState('energy', { result, opts: { ...opts } });
+    render(result);
+  }
+
+  let power = state.device.power;
+  subscribe((section) => {
+    if (section === 'ambient' || section === 'peltier' || section === 'fans') recompute();
+    else if (section === 'device' && state.device.power !== power) {
+      power = state.device.power;
+      recompute();
+    }
+  });
+  recompute();
+
+  return { recompute };
+}
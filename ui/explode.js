@@ -0,0 +1,43 @@
+/**
+ * ui/explode.js
+ * Curseur « Éclaté » de la vue ASSEMBLAGE
+ *
+ * La valeur affichée suit la consigne du curseur avec un lissage
+ * exponentiel (easing) ; setExplode() n'est rappelé que si la valeur
+ * bouge ou si le groupe assemblage a été régénéré. update() renvoie
+ * true quand les couches ont bougé (cotes à recalculer).
+ */
+
+import { setExplode } from '../modules/assemblage.js';
+
+const EASE = 6; // 1/s — vitesse de convergence
+
+export function initExplode({ getGroup }) {
+  const slider = document.getElementById('explode');
+  const radialBox = document.getElementById('explode-radial');
+
+  let target = 0, current = 0;
+  let radial = 0, radialTarget = 0;
+  let applied = null; // { group, current, radial }
+
+  slider.addEventListener('input', () => { target = Number(slider.value); });
+  radialBox.addEventListener('change', () => { radialTarget = radialBox.checked ? 1 : 0; });
+
+  function update(dt) {
+    const g = getGroup();
+    if (!g.visible) return false;
+
+    const k = Math.min(1, dt * EASE);
+    current += (target - current) * k;
+    radial  += (radialTarget - radial) * k;
+    if (Math.abs(target - current) < 1e-3) current = target;
+    if (Math.abs(radialTarget - radial) < 1e-3) radial = radialTarget;
+
+    if (applied && applied.group === g && applied.current === current && applied.radial === radial) return false;
+    setExplode(g, current, { radial });
+    applied = { group: g, current, radial };
+    return true;
+  }
+
+  return { update };
+}
@@ -0,0 +1,89 @@
+/**
+ * ui/export.js
+ * Panneau « Export 3D » — GLB (partage) et STL (impression), modules/export.js
+ *
+ * Portée : module affiché, assemblage complet ou composant sélectionné
+ * au clic (ui/inspect.js). Le contenu (nom, triangles) est recalculé à
+ * chaque changement de vue, de cotes ou de sélection (render()).
+ */
+
+import { exportCopy, triangleCount, toGlb, toStl } from '../modules/export.js';
+import { PARTS } from '../modules/parts.js';
+import { panel, readout, alertBox, download, fmt } from './dom.js';
+
+const SCOPES = { module: 'Module affiché', assemblage: 'Assemblage complet', part: 'Composant sélectionné' };
+
+export function initExportPanel({ getRoot, getId, getAssemblage, getSelected }) {
+  const el = panel('export-panel', 'EXPORT 3D', '');
+  el.classList.add('collapsed');
+
+  const bar = document.createElement('div');
+  bar.className = 'cycle-bar';
+  const scope = document.createElement('select');
+  for (const [k, v] of Object.entries(SCOPES)) scope.add(new Option(v, k));
+  const glb = document.createElement('button');
+  glb.className = 'btn-small';
+  glb.textContent = '⇣ GLB';
+  const stl = document.createElement('button');
+  stl.className = 'btn-small';
+  stl.textContent = '⇣ STL';
+  bar.append(scope, glb, stl);
+  el.appendChild(bar);
+
+  const out = {
+    what: readout(el, 'Contenu'),
+    tris: readout(el, 'Triangles'),
+  };
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  note.textContent = 'GLB en mètres (noms, matériaux, métadonnées) · STL binaire en mm, Z vers le haut. '
+    + 'Étiquettes, arêtes, vapeur et flèches exclues.';
+  el.appendChild(note);
+  const warn = alertBox(el);
+
+  /** { obj, name } de la portée choisie, ou null */
+  function target() {
+    if (scope.value === 'assemblage') return { obj: getAssemblage(), name: 'assemblage' };
+    if (scope.value === 'part') {
+      const obj = getSelected();
+      return obj && { obj, name: obj.userData.part };
+    }
+    return { obj: getRoot(), name: getId() };
+  }
+
+  function render() {
+    scope.options[2].disabled = !getSelected();
+    if (scope.value === 'part' && !getSelected()) scope.value = 'module';
+    if (el.classList.contains('collapsed')) return;
+    const t = target();
+    const copy = t?.obj && exportCopy(t.obj);
+    const part = t && PARTS[t.obj?.userData.part];
+    out.what(part ? part.name : t?.name ?? '—');
+    out.tris(copy ? fmt(triangleCount(copy), 0) : '—');
+    glb.disabled = stl.disabled = !copy;
+    warn('');
+  }
+
+  glb.addEventListener('click', async () => {
+    const t = target();
+    if (!t?.obj) return;
+    try {
+      download(`${t.name}.glb`, await toGlb(t.obj, t.name), 'model/gltf-binary');
+    } catch (e) {
+      warn(`Export GLB impossible : ${e.message}`);
+    }
+  });
+  stl.addEventListener('click', () => {
+    const t = target();
+    if (!t?.obj) return;
+    try {
+      download(`${t.name}.stl`, toStl(t.obj), 'model/stl');
+    } catch (e) {
+      warn(`Export STL impossible : ${e.message}`);
+    }
+  });
+  scope.addEventListener('change', render);
+  el.querySelector('.panel-title').addEventListener('click', render);
+
+  return { render };
+}
@@ -0,0 +1,57 @@
+/**
+ * ui/fans.js
+ * Panneau « Ventilateurs » — 2 × 50 mm intérieurs du module Peltier
+ *
+ * Consigne de vitesse + relais d'alimentation (state.fans) ; l'animation
+ * des rotors et des flèches de flux est dans viewer/fans.js.
+ * Volume de chambre : cotes courantes du module Peltier (panneau Cotes).
+ * Réaffiché à chaque changement de state.fans / state.device (relais
+ * coupé par BTN1, sim/firmware.js).
+ */
+
+import { fanOperating, FAN_COUNT, FAN_50MM } from '../sim/fans.js';
+import { PELTIER_DIMS } from '../modules/peltier.js';
+import { state, setState, subscribe } from '../sim/state.js';
+import { getModule } from '../modules/registry.js';
+import { paramsFor } from './params.js';
+import { panel, numberField, readout, fmt } from './dom.js';
+
+export function initFansPanel() {
+  const el = panel('fans-panel', 'VENTILATEURS', 'peltier assemblage');
+
+  const relayRow = document.createElement('label');
+  relayRow.className = 'panel-check';
+  const relay = document.createElement('input');
+  relay.type = 'checkbox';
+  relay.checked = state.fans.relay;
+  relayRow.append(relay, ' Relais ventilateurs (ESP32)');
+  el.appendChild(relayRow);
+
+  const rpm = numberField(el, 'Vitesse', state.fans.rpm, { min: 0, max: FAN_50MM.rpmMax, step: 100, unit: 'tr/min' },
+    (v) => setState('fans', { rpm: v }));
+
+  const out = {
+    flow:   readout(el, `Débit ×${FAN_COUNT}`),
+    vel:    readout(el, 'Vitesse soufflage'),
+    power:  readout(el, `Puissance ×${FAN_COUNT}`),
+    renew:  readout(el, 'Renouvellement chambre'),
+  };
+
+  function render() {
+    relay.checked = state.fans.relay;
+    rpm.value = state.fans.rpm;
+    const op = fanOperating(state.fans.rpm, state.fans.relay);
+    const { W, D, H, T } = { ...PELTIER_DIMS, ...paramsFor(getModule('peltier')) };
+    const volM3 = ((W - 2 * T) * (D - 2 * T) * H) / 1e6;
+    out.flow(`${fmt(op.airflow * FAN_COUNT)} m³/h`, op.rpm ? '' : 'warn');
+    out.vel(`${fmt(op.velocity, 2)} m/s`);
+    out.power(`${fmt(op.power * FAN_COUNT, 2)} W`);
+    out.renew(`${fmt((op.airflow * FAN_COUNT) / volM3, 0)} vol/h`);
+  }
+
+  relay.addEventListener('change', () => setState('fans', { relay: relay.checked }));
+  subscribe((section) => { if (section === 'fans' || section === 'device') render(); });
+  render();
+
+  return { render };
+}
@@ -0,0 +1,107 @@
+/**
+ * ui/hydraulics.js
+ * Panneau « Hydraulique filtration » — vues FILTRATION et ASSEMBLAGE
+ *
+ * Circuit relevé sur le module affiché (modules/hydraulics.js) : charge
+ * disponible entre le drain le plus bas et l'entrée du réservoir, débit
+ * gravitaire atteignable et pertes de charge par étape et dans les
+ * tuyaux (sim/hydraulics.js). Le volume filtré cumulé (saisi) colmate
+ * les cartouches ; alerte quand le débit tombe sous la pointe de
+ * production (state.yield + cycle Sorbant).
+ * Vue FILTRATION seule : pas de drain amont, ni charge ni débit
+ * gravitaire — pertes données au débit de pointe.
+ */
+
+import { filtrationCircuit } from '../modules/hydraulics.js';
+import { headLosses, gravityFlow, clogLimit, peakInflow, FLOWMETER_MIN } from '../sim/hydraulics.js';
+import { state, subscribe } from '../sim/state.js';
+import { panel, numberField, readout, alertBox, fmt } from './dom.js';
+
+function litres(v) {
+  if (!Number.isFinite(v)) return '∞';
+  return v < 1000 ? `${fmt(v, 0)} L` : `${fmt(v / 1000, 2)} m³`;
+}
+
+export function initHydraulicsPanel({ getRoot }) {
+  const el = panel('hydraulics-panel', 'HYDRAULIQUE FILTRATION', 'filtration assemblage');
+  el.classList.add('collapsed');
+
+  const used = numberField(el, 'Eau filtrée (cumul)', 0, { min: 0, max: 20000, step: 50, unit: 'L' }, () => render());
+  const out = {
+    head:  readout(el, 'Charge disponible'),
+    flow:  readout(el, 'Débit gravitaire'),
+    need:  readout(el, 'Pointe de production'),
+    life:  readout(el, 'Colmatage critique'),
+    meter: readout(el, 'Comptage débitmètre'),
+  };
+  const sep = document.createElement('div');
+  sep.className = 'panel-sep';
+  el.appendChild(sep);
+  const listEl = document.createElement('div');
+  el.appendChild(listEl);
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  el.appendChild(note);
+  const warn = alertBox(el);
+
+  function render() {
+    const root = getRoot();
+    // panneau masqué : module affiché sans filtration
+    if (!root || el.style.display === 'none' || el.classList.contains('collapsed')) return;
+
+    const c = filtrationCircuit(root);
+    const V = Number(used.value);
+    const need = peakInflow(state.yield.result, state.sorbant.cycle);
+    const Q = c.source ? gravityFlow(c, c.head, V) : need;
+    const loss = headLosses(c, Q, V);
+
+    out.need(`${fmt(need, 2)} L/h`);
+    if (c.source) {
+      out.head(`${fmt(c.head)} cm`, c.head > 0 ? '' : 'alert');
+      out.flow(`${fmt(Q, 2)} L/h`, Q < need ? 'alert' : '');
+      const limit = clogLimit(c, c.head, need);
+      const perDay = state.yield.result?.totalL ?? 0;
+      const days = perDay > 0 ? ` (≈ ${fmt(Math.max(0, limit - V) / perDay, 0)} j)` : '';
+      out.life(limit > V ? `après ${litres(limit)}${Number.isFinite(limit) ? days : ''}` : 'atteint',
+        limit > V ? '' : 'alert');
+    } else {
+      out.head('—');
+      out.flow('—');
+      out.life('—');
+    }
+    out.meter(need < FLOWMETER_MIN ? 'sous le seuil (1 L/min)' : 'dans la plage', need < FLOWMETER_MIN ? 'warn' : '');
+
+    listEl.replaceChildren();
+    const share = (dh) => (loss.total > 0 ? ` · ${fmt(100 * dh / loss.total, 0)} %` : '');
+    for (const s of loss.stages) readout(listEl, s.name)(`${fmt(s.dh, 2)} cm${share(s.dh)}`);
+    const len = c.tubes.reduce((a, t) => a + t.length, 0);
+    const bore = c.tubes.length ? `, Ø ${fmt(Math.min(...c.tubes.map((t) => t.bore)) * 10, 0)} mm` : '';
+    readout(listEl, `Tuyaux (${fmt(len / 100, 2)} m${bore})`)(`${fmt(loss.tubing, 2)} cm${share(loss.tubing)}`);
+
+    note.textContent = c.source
+      ? `Pertes au débit gravitaire. Niveau amont : drain ${c.source.name} à ${fmt(c.source.y)} cm ; `
+        + `entrée réservoir ${fmt(c.outlet)} cm, point haut de la chaîne ${fmt(c.crest)} cm (vue empilée).`
+      : 'Aucun drain raccordé en amont de la filtration (vue ASSEMBLAGE) : pertes au débit de pointe.';
+    warn([
+      c.source && c.head <= 0
+        ? `Charge nulle : le point haut (${fmt(Math.max(c.crest, c.outlet))} cm) dépasse le drain ${c.source.name} — pas d'écoulement gravitaire.`
+        : '',
+      c.head > 0 && Q < need
+        ? `Débit ${fmt(Q, 2)} L/h < pointe ${fmt(need, 2)} L/h : le collecteur déborde. Remplacer les cartouches ou augmenter la charge.`
+        : '',
+    ].filter(Boolean).join('\n'));
+  }
+
+  el.querySelector('.panel-title').addEventListener('click', render);
+  // Pointe de production : rendement recalculé, nouveau cycle Sorbant
+  let cycle = state.sorbant.cycle;
+  subscribe((section) => {
+    if (section === 'yield') render();
+    else if (section === 'sorbant' && state.sorbant.cycle !== cycle) {
+      cycle = state.sorbant.cycle;
+      render();
+    }
+  });
+
+  return { render };
+}
@@ -0,0 +1,109 @@
+/**
+ * ui/inspect.js
+ * Sélecteur de composants — clic 3D → contour + fiche technique
+ *
+ * Le clic remonte de l'objet touché jusqu'au premier ancêtre portant
+ * userData.part (modules/parts.js). Le composant est entouré d'arêtes
+ * orange visibles à travers les parois (helpers, ignorés par le picking)
+ * et le panneau « COMPOSANT » affiche sa fiche. Clic dans le vide → fermé.
+ * onChange(selected) : sélection modifiée (panneau export…).
+ */
+
+import * as THREE from 'three';
+import { PARTS } from '../modules/parts.js';
+import { panel, readout, fmt } from './dom.js';
+
+const OUTLINE = 0xff8f00;
+
+/** Premier ancêtre (ou l'objet lui-même) étiqueté userData.part */
+export function partOf(o) {
+  for (; o; o = o.parent) if (o.userData.part) return o;
+  return null;
+}
+
+export function initInspect({ onChange = () => {} } = {}) {
+  const el = panel('part-panel', 'COMPOSANT', '');
+  el.style.display = 'none';
+
+  const name = document.createElement('div');
+  name.className = 'panel-sub';
+  el.appendChild(name);
+  const out = {
+    ref:  readout(el, 'Référence'),
+    dims: readout(el, 'Dimensions'),
+    elec: readout(el, 'Électrique'),
+    size: readout(el, 'Encombrement maquette'),
+  };
+  const role = document.createElement('div');
+  role.className = 'panel-note';
+  el.appendChild(role);
+
+  const close = document.createElement('button');
+  close.className = 'btn-small';
+  close.textContent = '✕ Fermer';
+  close.addEventListener('click', () => clear());
+  el.appendChild(close);
+
+  const lineMat = new THREE.LineBasicMaterial({ color: OUTLINE, depthTest: false, transparent: true });
+  let selected = null;
+  let outlines = [];
+
+  function clear() {
+    for (const ln of outlines) {
+      ln.parent?.remove(ln);
+      ln.geometry.dispose();
+    }
+    outlines = [];
+    el.style.display = 'none';
+    if (selected) {
+      selected = null;
+      onChange(null);
+    }
+  }
+
+  function select(obj) {
+    clear();
+    selected = obj;
+    // contours ajoutés après le parcours (traverse ne doit pas les visiter)
+    const meshes = [];
+    obj.traverse((o) => {
+      if (o.isMesh && !o.userData.isHelper && !o.userData.isLabel) meshes.push(o);
+    });
+    for (const m of meshes) {
+      const ln = new THREE.LineSegments(new THREE.EdgesGeometry(m.geometry, 20), lineMat);
+      ln.userData.isHelper = true;
+      ln.renderOrder = 999;
+      ln.raycast = () => {};
+      m.add(ln);
+      outlines.push(ln);
+    }
+
+    const p = PARTS[obj.userData.part];
+    const s = new THREE.Box3().setFromObject(obj).getSize(new THREE.Vector3());
+    name.textContent = p ? p.name : obj.userData.part;
+    out.ref(p?.ref ?? '—');
+    out.dims(p?.dims ?? '—');
+    out.elec(p?.elec ?? '—');
+    out.size(`${fmt(s.x)} × ${fmt(s.y)} × ${fmt(s.z)} cm`);
+    role.textContent = p?.role ?? '';
+    el.style.display = '';
+    el.classList.remove('collapsed');
+    onChange(obj);
+  }
+
+  return {
+    /** Handler pointer.onClick : true si un composant a été sélectionné */
+    pick(hit) {
+      const obj = partOf(hit?.object);
+      if (!obj) { clear(); return false; }
+      if (obj !== selected) select(obj);
+      return true;
+    },
+    /** Handler pointer.onHover */
+    hover(hit) {
+      return partOf(hit?.object) ? 'pointer' : '';
+    },
+    clear,
+    get selected() { return selected; },
+  };
+}
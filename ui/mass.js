@@ -0,0 +1,134 @@
+/**
+ * ui/mass.js
+ * Panneau « Masse & stabilité » — module affiché (modules/mass.js)
+ *
+ * Masse par sous-ensemble, eau du réservoir au niveau choisi
+ * (state.tank.level, partagé avec le panneau réservoir), centre de
+ * gravité matérialisé dans la scène (sphère + aplomb + polygone d'appui)
+ * et angle de basculement mini. Critère : stable jusqu'à TILT_MIN
+ * d'inclinaison (essai du plan incliné, IEC 60335-1 §20.1).
+ */
+
+import * as THREE from 'three';
+import { massReport, stability } from '../modules/mass.js';
+import { state, setState, subscribe } from '../sim/state.js';
+import { panel, numberField, readout, alertBox, fmt } from './dom.js';
+
+const TILT_MIN = 10; // °
+const kg = (g) => `${fmt(g / 1000, 2)} kg`;
+
+/** Sphère CdG + aplomb + rectangle d'appui (repère de root, helpers) */
+function buildMarker(root, cog, fp) {
+  const g = new THREE.Group();
+  g.userData.isHelper = true;
+  const c = root.worldToLocal(cog.clone());
+  const mat = new THREE.LineBasicMaterial({ color: 0xe65100, depthTest: false, transparent: true });
+
+  const ball = new THREE.Mesh(
+    new THREE.SphereGeometry(1.2, 16, 12),
+    new THREE.MeshBasicMaterial({ color: 0xff6d00, depthTest: false, transparent: true, opacity: 0.9 })
+  );
+  ball.position.copy(c);
+  ball.renderOrder = 999;
+  ball.userData.isHelper = true;
+  g.add(ball);
+
+  const foot = root.worldToLocal(new THREE.Vector3(cog.x, fp.y, cog.z));
+  const corners = [[fp.xMin, fp.zMin], [fp.xMax, fp.zMin], [fp.xMax, fp.zMax], [fp.xMin, fp.zMax]]
+    .map(([x, z]) => root.worldToLocal(new THREE.Vector3(x, fp.y + 0.05, z)));
+  for (const pts of [[c, foot], [...corners, corners[0]]]) {
+    const ln = new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), mat);
+    ln.renderOrder = 999;
+    ln.userData.isHelper = true;
+    g.add(ln);
+  }
+  root.add(g);
+  return g;
+}
+
+export function initMassPanel({ getRoot }) {
+  const el = panel('mass-panel', 'MASSE & STABILITÉ', '');
+  el.classList.add('collapsed');
+
+  const fill = numberField(el, 'Remplissage réservoir', 0, { min: 0, max: 100, step: 1, unit: '%' },
+    (v) => setState('tank', { level: v / 100 }));
+
+  const showRow = document.createElement('label');
+  showRow.className = 'panel-check';
+  const show = document.createElement('input');
+  show.type = 'checkbox';
+  show.checked = true;
+  showRow.append(show, ' Afficher le centre de gravité');
+  el.appendChild(showRow);
+
+  const out = {
+    total:  readout(el, 'Masse totale'),
+    water:  readout(el, 'dont eau'),
+    cog:    readout(el, 'CdG (x, y, z)'),
+    height: readout(el, 'Hauteur CdG / sol'),
+    tilt:   readout(el, 'Basculement mini'),
+  };
+  const sep = document.createElement('div');
+  sep.className = 'panel-sep';
+  el.appendChild(sep);
+  const groupsEl = document.createElement('div');
+  el.appendChild(groupsEl);
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  el.appendChild(note);
+  const warn = alertBox(el);
+
+  let marker = null;
+
+  function clearMarker() {
+    if (!marker) return;
+    marker.parent?.remove(marker);
+    marker.traverse((o) => o.geometry?.dispose());
+    marker = null;
+  }
+
+  function render() {
+    clearMarker();
+    const root = getRoot();
+    if (!root || el.classList.contains('collapsed')) return;
+    fill.value = Math.round((state.tank.level ?? 0) * 100);
+
+    const r = massReport(root);
+    if (!r.cog) return;
+    const s = stability(root, r.cog);
+
+    out.total(kg(r.total));
+    out.water(kg(r.water));
+    out.cog(`${fmt(r.cog.x)} · ${fmt(r.cog.y)} · ${fmt(r.cog.z)} cm`);
+    out.height(`${fmt(s.height)} cm`);
+    out.tilt(`${fmt(s.min.angle)}° vers ${s.min.side}`,
+      s.min.angle <= 0 ? 'alert' : s.min.angle < TILT_MIN ? 'warn' : '');
+
+    groupsEl.replaceChildren();
+    if (r.groups.length > 1) for (const g of r.groups) readout(groupsEl, g.name)(kg(g.mass));
+
+    note.textContent = [
+      ...r.external.map((e) => `${e.name} (${kg(e.mass)}) posé à part, hors CdG.`),
+      r.unweighed ? `${r.unweighed} volume(s) sans densité ignoré(s).` : '',
+    ].filter(Boolean).join(' ');
+
+    warn(s.min.angle <= 0
+      ? `CdG hors de l'appui : l'unité bascule vers ${s.min.side}.`
+      : s.min.angle < TILT_MIN
+        ? `Bascule dès ${fmt(s.min.angle)}° vers ${s.min.side} (exigence ≥ ${TILT_MIN}°).`
+        : '');
+
+    if (show.checked) marker = buildMarker(root, r.cog, s.footprint);
+  }
+
+  show.addEventListener('change', render);
+  el.querySelector('.panel-title').addEventListener('click', render);
+  // vidange robinet : state.tank change à chaque image → recalcul limité
+  let pending = null;
+  subscribe((section) => {
+    if (section !== 'tank' || pending) return;
+    pending = setTimeout(() => { pending = null; render(); }, 250);
+  });
+
+  return { render };
+}
@@ -0,0 +1,78 @@
+/**
+ * ui/measure.js
+ * Panneau « Mesures » — liste des cotes relevées (viewer/measure.js)
+ *
+ * Type de mesure (distance 2 points / angle 3 points), consigne du
+ * prochain clic, liste persistante (module, valeur, ✕) et « Effacer ».
+ * toggle() : bouton 📏 de la barre d'outils.
+ */
+
+import { measureText } from '../viewer/measure.js';
+import { panel } from './dom.js';
+
+const TYPES = { distance: 'Distance (2 points)', angle: 'Angle (3 points)' };
+const STEPS = {
+  distance: ['1er point', '2e point'],
+  angle: ['1er bras', 'sommet', '2e bras'],
+};
+
+export function initMeasurePanel(measure) {
+  const el = panel('measure-panel', 'MESURES', '');
+  el.classList.add('collapsed');
+
+  const bar = document.createElement('div');
+  bar.className = 'cycle-bar';
+  const type = document.createElement('select');
+  for (const [k, v] of Object.entries(TYPES)) type.add(new Option(v, k));
+  const clear = document.createElement('button');
+  clear.className = 'btn-small';
+  clear.textContent = '✕ Effacer tout';
+  bar.append(type, clear);
+  el.appendChild(bar);
+
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  el.appendChild(note);
+  const listEl = document.createElement('div');
+  el.appendChild(listEl);
+
+  function render() {
+    note.textContent = measure.mode
+      ? `Cliquer le ${STEPS[measure.mode][measure.pending]} sur la maquette.`
+      : '📏 Mesure (barre d\'outils) pour relever distances et angles.';
+    listEl.replaceChildren();
+    for (const m of measure.list) {
+      const r = document.createElement('div');
+      r.className = 'readout';
+      const lab = document.createElement('span');
+      lab.textContent = `${m.id} · ${m.module}`;
+      const val = document.createElement('span');
+      val.className = 'readout-val';
+      val.textContent = measureText(m);
+      const del = document.createElement('button');
+      del.className = 'measure-del';
+      del.textContent = '✕';
+      del.title = 'Supprimer cette mesure';
+      del.addEventListener('click', () => measure.remove(m.id));
+      val.appendChild(del);
+      r.append(lab, val);
+      listEl.appendChild(r);
+    }
+    clear.disabled = !measure.list.length;
+  }
+
+  type.addEventListener('change', () => {
+    if (measure.mode) measure.setMode(type.value);
+  });
+  clear.addEventListener('click', () => measure.clear());
+  measure.onChange(render);
+  render();
+
+  return {
+    /** Active / coupe le mode mesure (type choisi dans le panneau) */
+    toggle() {
+      measure.setMode(measure.mode ? null : type.value);
+      if (measure.mode) el.classList.remove('collapsed');
+    },
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * ui/oled.js
+ * OLED 128×64 de la face avant Sorbant + boutons BTN1 / BTN2
+ *
+ * Redessine le canvas de chaque écran tagué userData.oled (modules/sorbant.js)
+ * à partir de l'état de simulation, au plus OLED_FPS fois par seconde.
+ * press(id) applique le menu firmware (sim/firmware.js) et ses effets :
+ * relais ventilateurs, tringlerie AUTO / MANUEL.
+ */
+
+import { pressButton, OLED_PAGES, PAGE_S } from '../sim/firmware.js';
+import { state, setState } from '../sim/state.js';
+import { tankStatus } from '../sim/tank.js';
+import { RIG } from '../modules/sorbant.js';
+import { TANK } from '../modules/reservoir.js';
+import { getModule } from '../modules/registry.js';
+import { paramsFor } from './params.js';
+import { fmt } from './dom.js';
+
+const OLED_FPS = 4;
+const INK = '#00e5ff';
+
+function hhmm(h) {
+  const m = Math.floor(h * 60);
+  return `${String(Math.floor(m / 60) % 24).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// ── Contenu des pages : [ligne 1, ligne 2] ──
+function pageLines(page) {
+  const { ambient, peltier, sorbant, tank, energy, device } = state;
+  const s = sorbant.sample;
+  switch (OLED_PAGES[page]) {
+    case 'AMBIANCE':
+      return [
+        `EXT ${fmt(ambient.T)}C ${fmt(ambient.RH, 0)}%`,
+        `LIT ${s ? fmt(s.Tbed) : '--'}C TEC ${peltier.result ? fmt(peltier.result.Tc) : '--'}C`,
+      ];
+    case 'RESERVOIR': {
+      const lvl = tank.level ?? 0;
+      const t = { ...TANK, ...paramsFor(getModule('reservoir')).tank };
+      const st = { ok: 'OK', overflow: 'PLEIN!', empty: 'VIDE' }[tankStatus(lvl, t)];
+      return [`NIVEAU ${fmt(lvl * 100, 0)}% ${st}`, tank.tapOpen ? 'ROBINET OUVERT' : 'ROBINET FERME'];
+    }
+    case 'BATTERIE': {
+      const r = energy.result;
+      const soc = r ? r.hours[Math.floor(sorbant.h) % 24].soc : null;
+      return [
+        `SOC ${soc === null ? '--' : fmt(soc * 100, 0)}%`,
+        r ? (r.viable ? 'BILAN OK' : `DEFICIT ${fmt(r.deficitWh, 0)}Wh/j`) : '',
+      ];
+    }
+    case 'CYCLE':
+      return [
+        `${device.mode === 'auto' ? 'AUTO' : 'MANUEL'} ${hhmm(sorbant.h)}`,
+        s ? (s.open > 0.5 ? 'ABSORPTION' : s.vapour > 0.02 ? 'DESORPTION' : 'ATTENTE') : '',
+      ];
+    default:
+      return ['', ''];
+  }
+}
+
+function draw({ canvas, texture }) {
+  const ctx = canvas.getContext('2d');
+  const { width: w, height: h } = canvas;
+  const { device } = state;
+  ctx.fillStyle = '#001420';
+  ctx.fillRect(0, 0, w, h);
+
+  if (device.power) {
+    // bandeau : mode + pastilles de page
+    ctx.fillStyle = INK;
+    ctx.font = 'bold 11px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${OLED_PAGES[device.page]} · ${device.mode === 'auto' ? 'A' : 'M'}`, 6, 3);
+    OLED_PAGES.forEach((_, i) => {
+      ctx.beginPath();
+      ctx.arc(w - 10 - (OLED_PAGES.length - 1 - i) * 9, 9, 2.6, 0, Math.PI * 2);
+      i === device.page ? ctx.fill() : ctx.stroke();
+    });
+    ctx.fillRect(0, 17, w, 1);
+
+    const [l1, l2] = pageLines(device.page);
+    ctx.font = 'bold 17px monospace';
+    ctx.fillText(l1, 6, 22);
+    ctx.fillText(l2, 6, 42);
+  }
+  texture.needsUpdate = true;
+}
+
+export function initOled({ getRoot }) {
+  let tPage = 0, tDraw = 1;
+
+  function redraw() {
+    getRoot()?.traverse((o) => { if (o.userData.oled) draw(o.userData.oled); });
+    tDraw = 0;
+  }
+
+  function press(id) {
+    const before = state.device;
+    const device = pressButton(before, id);
+    if (device === before) return;
+    setState('device', device);
+
+    if (device.power !== before.power) setState('fans', { relay: device.power });
+    if (device.mode !== before.mode) {
+      // MANUEL : fige la pose courante ; AUTO : rend la main au cycle
+      const open = state.sorbant.sample?.open ?? 0;
+      const pose = { servo: RIG.closed + (RIG.open - RIG.closed) * open, louvres: open };
+      setState('sorbant', { rig: device.mode === 'manuel' ? state.sorbant.rig ?? pose : null });
+    }
+    tPage = 0;
+    redraw();
+  }
+
+  return {
+    press,
+    update(dt) {
+      tPage += dt;
+      tDraw += dt;
+      if (state.device.power && tPage >= PAGE_S) {
+        tPage = 0;
+        setState('device', { page: (state.device.page + 1) % OLED_PAGES.length });
+      }
+      if (tDraw >= 1 / OLED_FPS) redraw();
+    },
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * ui/outliner.js
+ * Panneau « Arborescence » — sous-ensembles du module affiché
+ *
+ * Une ligne par nœud (viewer/outliner.js) : ▸ déplier, case visible,
+ * ◎ isoler (masque le reste du module), curseur d'opacité. Exemple :
+ * masquer Parois et Vitre du Sorbant pour voir le lit CaCl₂.
+ * L'affichage est conservé par module et réappliqué après une
+ * régénération (render()). onChange : visibilité modifiée (cotes,
+ * contenu de l'export).
+ */
+
+import { sceneTree, applyDisplay, isolate } from '../viewer/outliner.js';
+import { panel } from './dom.js';
+
+export function initOutliner({ getRoot, getId, onChange = () => {} }) {
+  const el = panel('outliner-panel', 'ARBORESCENCE', '');
+  el.classList.add('collapsed');
+
+  const bar = document.createElement('div');
+  bar.className = 'cycle-bar';
+  const reset = document.createElement('button');
+  reset.className = 'btn-small';
+  reset.textContent = '👁 Tout afficher';
+  bar.appendChild(reset);
+  el.appendChild(bar);
+  const treeEl = document.createElement('div');
+  treeEl.className = 'outliner';
+  el.appendChild(treeEl);
+
+  const displays = {}; // module → Map chemin → { visible?, opacity? }
+  const opened = {};   // module → Set des chemins dépliés
+  const display = () => (displays[getId()] ??= new Map());
+  const open = () => (opened[getId()] ??= new Set());
+
+  function apply() {
+    applyDisplay(getRoot(), display());
+    reset.disabled = !display().size;
+    onChange();
+  }
+
+  function row(node, depth) {
+    const d = display().get(node.path);
+    const r = document.createElement('div');
+    r.className = 'outliner-row';
+    r.style.paddingLeft = `${depth * 12}px`;
+
+    const fold = document.createElement('span');
+    fold.className = 'outliner-fold';
+    if (node.children.length) {
+      fold.textContent = open().has(node.path) ? '▾' : '▸';
+      fold.addEventListener('click', () => {
+        if (!open().delete(node.path)) open().add(node.path);
+        renderTree();
+      });
+    }
+
+    const vis = document.createElement('input');
+    vis.type = 'checkbox';
+    vis.checked = node.obj.visible;
+    vis.title = 'Afficher / masquer';
+    vis.addEventListener('change', () => {
+      display().set(node.path, { ...display().get(node.path), visible: vis.checked });
+      apply();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'outliner-name';
+    name.textContent = node.label;
+
+    const iso = document.createElement('button');
+    iso.className = 'outliner-iso';
+    iso.textContent = '◎';
+    iso.title = 'Isoler';
+    iso.addEventListener('click', () => {
+      isolate(getRoot(), display(), node.path);
+      apply();
+      renderTree();
+    });
+
+    const op = document.createElement('input');
+    op.type = 'range';
+    op.min = 0; op.max = 100; op.step = 5;
+    op.value = Math.round((d?.opacity ?? 1) * 100);
+    op.title = 'Opacité';
+    op.addEventListener('input', () => {
+      display().set(node.path, { ...display().get(node.path), opacity: Number(op.value) / 100 });
+      apply();
+    });
+
+    r.append(fold, vis, name, iso, op);
+    treeEl.appendChild(r);
+    if (open().has(node.path)) for (const c of node.children) row(c, depth + 1);
+  }
+
+  function renderTree() {
+    treeEl.replaceChildren();
+    const root = getRoot();
+    if (!root || el.classList.contains('collapsed')) return;
+    for (const n of sceneTree(root)) row(n, 0);
+    reset.disabled = !display().size;
+  }
+
+  /** Réapplique l'affichage du module (vue changée ou régénérée) */
+  function render() {
+    const root = getRoot();
+    if (root && display().size) applyDisplay(root, display());
+    renderTree();
+  }
+
+  reset.addEventListener('click', () => {
+    for (const [p, d] of display()) display().set(p, { ...d, visible: true, opacity: 1 });
+    apply();
+    display().clear();
+    renderTree();
+  });
+  el.querySelector('.panel-title').addEventListener('click', renderTree);
+
+  return { render };
+}
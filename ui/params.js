@@ -0,0 +1,121 @@
+/**
+ * ui/params.js
+ * Panneau « Cotes » — dimensions paramétriques du module actif
+ *
+ * Chaque module déclare ses cotes dans registerModule({ params: [...] }) :
+ *   { key, label, min, max, step, unit, value, scope? }
+ * `scope` (optionnel) regroupe une cote partagée entre modules (ex. 'tank'
+ * pour la cuve 5 L) : le builder la reçoit dans params[scope] et la même
+ * valeur s'applique à tous les modules qui la déclarent.
+ * Modules embarqués (registre : uses) : leurs cotes sont transmises dans
+ * params[id] — l'assemblage suit les vues de chaque module.
+ */
+
+import { getModule } from '../modules/registry.js';
+
+const values = new Map(); // `${scope}.${key}` → valeur courante
+
+function slot(def, p) {
+  return `${p.scope ?? def.id}.${p.key}`;
+}
+
+function valueOf(def, p) {
+  const k = slot(def, p);
+  return values.has(k) ? values.get(k) : p.value;
+}
+
+/** Objet passé à def.build(params) — valeurs courantes ou défauts */
+export function paramsFor(def) {
+  const out = {};
+  for (const p of def.params) {
+    const v = valueOf(def, p);
+    if (p.scope) (out[p.scope] ??= {})[p.key] = v;
+    else out[p.key] = v;
+  }
+  for (const id of def.uses ?? []) out[id] = paramsFor(getModule(id));
+  return out;
+}
+
+/**
+ * Monte le panneau dans `el`.
+ * onChange(def) est appelé (au plus une fois par frame) après chaque édition.
+ */
+export function initParamsPanel(el, { onChange }) {
+  let current = null;
+  let pending = false;
+
+  function changed() {
+    if (pending) return;
+    pending = true;
+    requestAnimationFrame(() => {
+      pending = false;
+      onChange(current);
+    });
+  }
+
+  function row(def, p) {
+    const r = document.createElement('div');
+    r.className = 'param-row';
+
+    const lab = document.createElement('label');
+    lab.textContent = p.label;
+
+    const range = document.createElement('input');
+    range.type = 'range';
+    const num = document.createElement('input');
+    num.type = 'number';
+    for (const inp of [range, num]) {
+      inp.min = p.min; inp.max = p.max; inp.step = p.step;
+      inp.value = valueOf(def, p);
+    }
+
+    const unit = document.createElement('span');
+    unit.className = 'param-unit';
+    unit.textContent = p.unit;
+
+    const set = (raw, src) => {
+      const v = Math.min(p.max, Math.max(p.min, Number(raw)));
+      if (!Number.isFinite(v)) return;
+      values.set(slot(def, p), v);
+      if (src !== range) range.value = v;
+      if (src !== num) num.value = v;
+      changed();
+    };
+    range.addEventListener('input', () => set(range.value, range));
+    num.addEventListener('change', () => set(num.value, num));
+
+    r.append(lab, range, num, unit);
+    return r;
+  }
+
+  function show(def) {
+    current = def;
+    el.replaceChildren();
+
+    const title = document.createElement('div');
+    title.className = 'panel-title';
+    title.textContent = `COTES — ${def.label}`;
+    el.appendChild(title);
+
+    if (!def.params.length) {
+      const empty = document.createElement('div');
+      empty.className = 'panel-note';
+      empty.textContent = 'Aucune cote paramétrable pour ce module.';
+      el.appendChild(empty);
+      return;
+    }
+    for (const p of def.params) el.appendChild(row(def, p));
+
+    const reset = document.createElement('button');
+    reset.className = 'btn btn-small';
+    reset.textContent = '⟲ Valeurs par défaut';
+    reset.addEventListener('click', () => {
+      for (const p of def.params) values.delete(slot(def, p));
+      show(def);
+      changed();
+    });
+    el.appendChild(reset);
+  }
+
+  return { show };
+}
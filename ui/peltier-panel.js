@@ -0,0 +1,90 @@
+/**
+ * ui/peltier-panel.js
+ * Panneau « Performance TEC » — point de fonctionnement des 4 × TEC1-12706
+ *
+ * Entrées : ambiance (T, HR — DHT22 extérieur), courant par TEC,
+ * résistance thermique du dissipateur côté chaud.
+ * Sorties : Tc, Th, ΔT, Qc, P, COP, tension, consommation totale,
+ * point de rosée, condensat attendu. Résultat publié dans state.peltier.
+ * Appareil à l'arrêt (state.device.power, BTN1) : TECs hors tension.
+ */
+
+import { solveTec, TEC1_12706, TEC_DEFAULTS } from '../sim/tec.js';
+import { state, setState, subscribe } from '../sim/state.js';
+import { panel, numberField, readout, alertBox, fmt } from './dom.js';
+
+export function initPeltierPanel() {
+  const el = panel('tec-panel', 'PERFORMANCE TEC', 'peltier assemblage');
+
+  const inT = numberField(el, 'T ambiante', state.ambient.T, { min: -10, max: 50, step: 0.5, unit: '°C' },
+    (v) => { setState('ambient', { T: v }); });
+  const inRH = numberField(el, 'HR ambiante', state.ambient.RH, { min: 5, max: 100, step: 1, unit: '%' },
+    (v) => { setState('ambient', { RH: v }); });
+  numberField(el, 'Courant / TEC', state.peltier.current, { min: 0, max: TEC1_12706.Imax, step: 0.1, unit: 'A' },
+    (v) => { setState('peltier', { current: v }); solve(); });
+  numberField(el, 'R dissipateur', state.peltier.Rhs, { min: 0.1, max: 2, step: 0.05, unit: 'K/W' },
+    (v) => { setState('peltier', { Rhs: v }); solve(); });
+
+  const sep = document.createElement('div');
+  sep.className = 'panel-sep';
+  el.appendChild(sep);
+
+  const out = {
+    Tc:   readout(el, 'Face froide Tc'),
+    Th:   readout(el, 'Face chaude Th'),
+    dT:   readout(el, 'ΔT'),
+    Tdew: readout(el, 'Point de rosée'),
+    Qc:   readout(el, 'Qc / TEC'),
+    P:    readout(el, 'P élec / TEC'),
+    cop:  readout(el, 'COP'),
+    V:    readout(el, 'Tension / TEC'),
+    tot:  readout(el, `Total ×${TEC_DEFAULTS.count}`),
+    cond: readout(el, 'Condensat'),
+  };
+  const warn = alertBox(el);
+
+  function render(r) {
+    out.Tc(`${fmt(r.Tc)} °C`, r.frost ? 'alert' : r.condensing ? '' : 'warn');
+    out.Th(`${fmt(r.Th)} °C`, r.Th > 60 ? 'alert' : '');
+    out.dT(`${fmt(r.dT)} K`);
+    out.Tdew(`${fmt(r.Tdew)} °C`);
+    out.Qc(`${fmt(r.Qc)} W`);
+    out.P(`${fmt(r.P)} W`);
+    out.cop(fmt(r.cop, 2));
+    out.V(`${fmt(r.V, 2)} V`, r.overVoltage ? 'alert' : '');
+    out.tot(`${fmt(r.powerW, 0)} W · ${fmt(r.currentA)} A`);
+    out.cond(`${fmt(r.condLh * 1000, 0)} mL/h · ${fmt(r.condLh * 24, 2)} L/j`,
+      r.condensing ? '' : 'warn');
+
+    const msgs = [];
+    if (r.frost) msgs.push('❄ Givrage : Tc < 0 °C — la glace isole la face froide, réduire le courant.');
+    if (r.overVoltage) msgs.push(`⚡ ${fmt(r.V, 2)} V requis > rail ${TEC_DEFAULTS.supply} V — courant inatteignable.`);
+    if (!r.condensing) msgs.push('Tc au-dessus du point de rosée : pas de condensation.');
+    warn(msgs.join('\n'));
+  }
+
+  function solve() {
+    const { current, Rhs } = state.peltier;
+    const on = state.device.power;
+    const result = solveTec(state.ambient, { current: on ? current : 0, Rhs });
+    render(result);
+    if (!on) warn('Appareil à l\'arrêt (BTN1) : relais coupés, TECs hors tension.');
+    setState('peltier', { result });
+  }
+
+  // l'ambiance peut venir d'un autre panneau (capteurs DHT22) ; marche / arrêt
+  let power = state.device.power;
+  subscribe((section) => {
+    if (section === 'device' && state.device.power !== power) {
+      power = state.device.power;
+      solve();
+    }
+    if (section !== 'ambient') return;
+    inT.value = state.ambient.T;
+    inRH.value = state.ambient.RH;
+    solve();
+  });
+  solve();
+
+  return { solve };
+}
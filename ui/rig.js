@@ -0,0 +1,94 @@
+/**
+ * ui/rig.js
+ * Panneau « Cinématique vitre » — servo vitre + volets du module Sorbant
+ *
+ * Mode cycle : la pose suit state.sorbant.sample.open (ui/cycle.js).
+ * Mode manuel : les curseurs écrivent state.sorbant.rig = { servo, louvres },
+ * prioritaire dans applySorbantState(). La case suit le mode AUTO / MANUEL
+ * du firmware (BTN2, ui/oled.js) et inversement.
+ */
+
+import { setSorbantRig, RIG } from '../modules/sorbant.js';
+import { state, setState, subscribe } from '../sim/state.js';
+import { panel, readout, alertBox, fmt } from './dom.js';
+
+function slider(parent, label, min, max, step) {
+  const r = document.createElement('div');
+  r.className = 'field-row';
+  const lab = document.createElement('label');
+  lab.textContent = label;
+  const inp = document.createElement('input');
+  inp.type = 'range';
+  inp.min = min; inp.max = max; inp.step = step;
+  const val = document.createElement('span');
+  val.className = 'param-unit';
+  r.append(lab, inp, val);
+  parent.appendChild(r);
+  return { inp, val };
+}
+
+export function initRigPanel({ getRoot }) {
+  const el = panel('rig-panel', 'CINÉMATIQUE VITRE', 'sorbant assemblage');
+
+  const modeRow = document.createElement('label');
+  modeRow.className = 'panel-check';
+  const auto = document.createElement('input');
+  auto.type = 'checkbox';
+  auto.checked = !state.sorbant.rig;
+  modeRow.append(auto, ' Piloté par le cycle 24 h');
+  el.appendChild(modeRow);
+
+  const servo = slider(el, 'Servo vitre', RIG.closed, RIG.open, 1);
+  const louv = slider(el, 'Volets', 0, 100, 1);
+
+  const out = {
+    lid:  readout(el, 'Angle vitre'),
+    lift: readout(el, 'Levée bord avant'),
+  };
+  const warn = alertBox(el);
+
+  // pose courante : manuelle ou déduite de l'échantillon du cycle
+  function pose() {
+    if (state.sorbant.rig) return state.sorbant.rig;
+    const open = state.sorbant.sample?.open ?? 0;
+    return { servo: RIG.closed + (RIG.open - RIG.closed) * open, louvres: open };
+  }
+
+  function render() {
+    const p = pose();
+    const r = setSorbantRig(getRoot(), p);
+    servo.inp.value = p.servo;
+    louv.inp.value = p.louvres * 100;
+    servo.val.textContent = `${fmt(p.servo, 0)}°`;
+    louv.val.textContent = `${fmt(p.louvres * 100, 0)} %`;
+    servo.inp.disabled = louv.inp.disabled = auto.checked;
+    if (!r) return;
+    out.lid(`${fmt(r.lid)}°`);
+    out.lift(`${fmt(r.lift)} cm`);
+    warn(r.bind ? 'Tringlerie en butée : la tige ne peut plus ouvrir la vitre.' : '');
+  }
+
+  function manual() {
+    setState('sorbant', {
+      rig: { servo: Number(servo.inp.value), louvres: Number(louv.inp.value) / 100 },
+    });
+    render();
+  }
+
+  auto.addEventListener('change', () => {
+    if (auto.checked) setState('sorbant', { rig: null });
+    else manual();
+    setState('device', { mode: auto.checked ? 'auto' : 'manuel' });
+    render();
+  });
+  servo.inp.addEventListener('input', manual);
+  louv.inp.addEventListener('input', manual);
+  subscribe((section) => {
+    if (section !== 'sorbant') return;
+    auto.checked = !state.sorbant.rig;
+    render();
+  });
+  render();
+
+  return { render };
+}
@@ -0,0 +1,87 @@
+/**
+ * ui/section.js
+ * Panneau « Coupe » — plan de coupe du module affiché (viewer/section.js)
+ *
+ * Axe X / Y / Z, position (curseur borné à l'emprise du module, cm) et
+ * côté conservé (flip). toggle() : bouton ✂ de la barre d'outils ;
+ * render() suit le module affiché et ses régénérations.
+ */
+
+import { panel, readout, fmt } from './dom.js';
+
+const AXES = { x: 'X (gauche ↔ droite)', y: 'Y (bas ↔ haut)', z: 'Z (avant ↔ arrière)' };
+
+export function initSectionPanel(section, { getRoot }) {
+  const el = panel('section-panel', 'COUPE', '');
+  el.classList.add('collapsed');
+
+  const bar = document.createElement('div');
+  bar.className = 'cycle-bar';
+  const axis = document.createElement('select');
+  for (const [k, v] of Object.entries(AXES)) axis.add(new Option(v, k));
+  const flipRow = document.createElement('label');
+  flipRow.className = 'panel-check';
+  const flip = document.createElement('input');
+  flip.type = 'checkbox';
+  flipRow.append(flip, ' Inverser');
+  bar.append(axis, flipRow);
+  el.appendChild(bar);
+
+  const pos = document.createElement('input');
+  pos.type = 'range';
+  pos.className = 'cycle-scrub';
+  pos.step = 0.5;
+  el.appendChild(pos);
+  const at = readout(el, 'Position');
+
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  note.textContent = 'Faces coupées hachurées ; volumes d\'air et parois fantômes restent creux.';
+  el.appendChild(note);
+
+  /** Borne le curseur à l'emprise du module sur l'axe choisi */
+  function bounds(recentre) {
+    const r = section.range;
+    if (!r) return;
+    pos.min = Math.floor(r.min);
+    pos.max = Math.ceil(r.max);
+    if (recentre) pos.value = (r.min + r.max) / 2;
+  }
+
+  function apply() {
+    section.set({ axis: axis.value, pos: Number(pos.value), flip: flip.checked });
+    at(`${axis.value.toUpperCase()} = ${fmt(Number(pos.value))} cm`);
+  }
+
+  function render() {
+    if (!section.enabled) return;
+    section.setRoot(getRoot());
+    bounds(false);
+    apply();
+  }
+
+  axis.addEventListener('change', () => {
+    section.set({ axis: axis.value });
+    bounds(true);
+    apply();
+  });
+  pos.addEventListener('input', apply);
+  flip.addEventListener('change', apply);
+
+  return {
+    render,
+    /** Active / coupe le plan de coupe sur le module affiché */
+    toggle() {
+      if (section.enabled) {
+        section.setRoot(null);
+        return false;
+      }
+      section.set({ axis: axis.value });
+      section.setRoot(getRoot());
+      bounds(true);
+      apply();
+      el.classList.remove('collapsed');
+      return true;
+    },
+  };
+}
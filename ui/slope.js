@@ -0,0 +1,151 @@
+/**
+ * ui/slope.js
+ * Panneau « Pentes » — écoulement gravitaire du réseau d'eau du module
+ * affiché (modules/slope.js)
+ *
+ * Pente minimale saisie (%) ; contre-pentes, siphons et chutes
+ * insuffisantes listés, carte des pentes superposée aux tubes tant que
+ * le panneau est ouvert : rouge contre-pente, violet siphon, orange
+ * chute < seuil, puis jaune-vert → bleu de la pente mini à la verticale.
+ * Calcul à l'ouverture du panneau et à chaque changement de vue ou de
+ * cotes (render()) ; refresh() : recalcul limité (vue éclatée animée,
+ * masquages de l'arborescence).
+ */
+
+import * as THREE from 'three';
+import { analyzeSlopes } from '../modules/slope.js';
+import { panel, numberField, readout, alertBox, fmt } from './dom.js';
+
+const MAX_ROWS = 20;
+const RADIAL   = 8;
+const C_UP     = new THREE.Color(0xd50000);
+const C_TRAP   = new THREE.Color(0x8e24aa);
+const C_LOW    = new THREE.Color(0xff9100);
+const KIND = {
+  'montée': { title: 'contre-pente', level: 'alert' },
+  siphon:   { title: 'siphon',       level: 'alert' },
+  faible:   { title: 'chute faible', level: 'warn' },
+};
+
+/** Couleur d'une pente suffisante : teinte 0.18 (seuil) → 0.6 (≥ 100 %) */
+function slopeColor(slope, minFall, out) {
+  const k = Math.min(1, Math.log(Math.max(1, slope / minFall)) / Math.log(100 / minFall));
+  return out.setHSL(0.18 + 0.42 * k, 0.9, 0.5);
+}
+
+/** Gaine colorée par anneau (un anneau par échantillon de l'analyse) */
+function slopeSleeve(tube, minFall, inv, mat) {
+  const { path, radius } = tube.mesh.geometry.parameters;
+  const geo = new THREE.TubeGeometry(path, tube.n, radius * 1.25, RADIAL, false);
+  const col = new Float32Array(geo.attributes.position.count * 3);
+  const c = new THREE.Color();
+  for (let i = 0; i <= tube.n; i++) {
+    const s = tube.segments[Math.min(i, tube.n - 1)];
+    if (s.kind === 'montée') c.copy(C_UP);
+    else if (tube.trapped[i]) c.copy(C_TRAP);
+    else if (s.kind === 'faible') c.copy(C_LOW);
+    else slopeColor(s.slope, minFall, c);
+    for (let j = 0; j <= RADIAL; j++) c.toArray(col, (i * (RADIAL + 1) + j) * 3);
+  }
+  geo.setAttribute('color', new THREE.BufferAttribute(col, 3));
+  const m = new THREE.Mesh(geo, mat);
+  m.matrixAutoUpdate = false;
+  m.matrix.multiplyMatrices(inv, tube.mesh.matrixWorld);
+  m.renderOrder = 999;
+  m.userData.isHelper = true;
+  m.raycast = () => {};
+  return m;
+}
+
+/** Carte des pentes (repère de root, helpers) */
+function buildMarker(root, result, minFall, mat) {
+  const g = new THREE.Group();
+  g.userData.isHelper = true;
+  const inv = root.matrixWorld.clone().invert();
+  for (const t of result.tubes) g.add(slopeSleeve(t, minFall, inv, mat));
+  root.add(g);
+  return g;
+}
+
+export function initSlopePanel({ getRoot }) {
+  const el = panel('slope-panel', 'PENTES', '');
+  el.classList.add('collapsed');
+
+  const minFall = numberField(el, 'Pente minimale', 1, { min: 0.1, max: 20, step: 0.5, unit: '%' }, () => render());
+  const out = {
+    tubes: readout(el, 'Tuyaux d\'eau'),
+    min:   readout(el, 'Pente la plus faible'),
+    up:    readout(el, 'Contre-pentes'),
+    traps: readout(el, 'Siphons'),
+    low:   readout(el, 'Chutes insuffisantes'),
+  };
+  const sep = document.createElement('div');
+  sep.className = 'panel-sep';
+  el.appendChild(sep);
+  const listEl = document.createElement('div');
+  el.appendChild(listEl);
+  const note = document.createElement('div');
+  note.className = 'panel-note';
+  el.appendChild(note);
+  const warn = alertBox(el);
+
+  let marker = null;
+  // couleurs par sommet : un seul matériau pour toutes les cartes (refresh())
+  const sleeveMat = new THREE.MeshBasicMaterial({ vertexColors: true, depthTest: false, transparent: true, opacity: 0.85 });
+
+  function clearMarker() {
+    if (!marker) return;
+    marker.parent?.remove(marker);
+    marker.traverse((o) => o.geometry?.dispose());
+    marker = null;
+  }
+
+  function render() {
+    clearMarker();
+    const root = getRoot();
+    if (!root || el.classList.contains('collapsed')) return;
+
+    const fall = Number(minFall.value);
+    const r = analyzeSlopes(root, fall);
+    const count = (kind) => r.issues.filter((i) => i.kind === kind).length;
+    const [up, traps, low] = [count('montée'), count('siphon'), count('faible')];
+    const min = Math.min(...r.tubes.map((t) => t.minSlope));
+    out.tubes(String(r.tubes.length));
+    out.min(r.tubes.length ? `${fmt(min)} %` : '—', min < 0 ? 'alert' : min < fall ? 'warn' : '');
+    out.up(String(up), up ? 'alert' : '');
+    out.traps(String(traps), traps ? 'alert' : '');
+    out.low(String(low), low ? 'warn' : '');
+
+    listEl.replaceChildren();
+    for (const i of r.issues.slice(0, MAX_ROWS)) {
+      const k = KIND[i.kind];
+      const val = i.kind === 'faible'
+        ? `${fmt(i.value)} % sur ${fmt(i.length)} cm`
+        : `${i.kind === 'montée' ? '+' : ''}${fmt(i.value, 2)} cm`;
+      readout(listEl, `${i.label} @ ${fmt(i.at)} cm`)(`${k.title} ${val}`, k.level);
+    }
+    note.textContent = [
+      r.issues.length > MAX_ROWS ? `… ${r.issues.length - MAX_ROWS} autre(s) défaut(s).` : '',
+      'Abscisses depuis l\'amont du tuyau. Rouge : contre-pente · violet : siphon · '
+        + `orange : < ${fmt(fall)} % · jaune → bleu : pente croissante.`,
+    ].filter(Boolean).join(' ');
+    warn([
+      up ? `${up} contre-pente(s) : l'eau remonte, écoulement gravitaire bloqué.` : '',
+      traps ? `${traps} siphon(s) : eau stagnante au point bas.` : '',
+    ].filter(Boolean).join('\n'));
+
+    if (r.tubes.length) marker = buildMarker(root, r, fall, sleeveMat);
+  }
+
+  el.querySelector('.panel-title').addEventListener('click', render);
+  let pending = null;
+
+  return {
+    render,
+    /** Recalcul différé (appels rapprochés regroupés) */
+    refresh() {
+      if (pending) return;
+      pending = setTimeout(() => { pending = null; render(); }, 250);
+    },
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * ui/tank.js
+ * Panneau « Réservoir — niveau » — vues RÉSERVOIR et FILTRATION
+ *
+ * Le niveau (state.tank.level) pilote l'eau des cuves (applyTankLevel).
+ * La lecture HC-SR04 est calculée depuis la position réelle du capteur
+ * au-dessus de la surface, à la température ambiante (state.ambient.T).
+ * Robinet ouvert : vidange Torricelli en temps réel (update(dt)), jusqu'au
+ * niveau de la sortie.
+ * Réaffiché à chaque changement de state.tank (ici ou panneau masse).
+ */
+
+import { applyTankLevel, TANK } from '../modules/reservoir.js';
+import { hcsr04Read, tankStatus, drainStep, TANK_LIMITS } from '../sim/tank.js';
+import { state, setState, subscribe } from '../sim/state.js';
+import { panel, readout, alertBox, fmt } from './dom.js';
+
+const STATUS = {
+  ok:       ['Normal', ''],
+  overflow: ['TROP-PLEIN', 'alert'],
+  empty:    ['VIDE', 'warn'],
+};
+
+export function initTankPanel({ getRoot }) {
+  const el = panel('tank-panel', 'RÉSERVOIR — NIVEAU', 'reservoir filtration');
+
+  const row = document.createElement('div');
+  row.className = 'field-row';
+  const lab = document.createElement('label');
+  lab.textContent = 'Niveau';
+  const range = document.createElement('input');
+  range.type = 'range';
+  range.min = 0; range.max = 100; range.step = 0.5;
+  const pct = document.createElement('span');
+  pct.className = 'param-unit';
+  row.append(lab, range, pct);
+  el.appendChild(row);
+
+  const tap = document.createElement('button');
+  tap.className = 'btn-small';
+  el.appendChild(tap);
+
+  const out = {
+    status:  readout(el, 'État'),
+    volume:  readout(el, 'Volume'),
+    dist:    readout(el, 'Distance capteur → eau'),
+    echo:    readout(el, 'Écho HC-SR04'),
+    read:    readout(el, 'Lecture firmware'),
+    flow:    readout(el, 'Débit robinet'),
+  };
+  const warn = alertBox(el);
+
+  function render() {
+    const { level, tapOpen, flowMl } = state.tank;
+    const t = applyTankLevel(getRoot(), level);
+    range.value = level * 100;
+    pct.textContent = `${fmt(level * 100, 0)} %`;
+    tap.textContent = tapOpen ? '⊘ Fermer le robinet' : '⇣ Ouvrir le robinet';
+    tap.classList.toggle('on', tapOpen);
+    if (!t) return;
+
+    const status = tankStatus(level, t);
+    const r = hcsr04Read(t.distance, state.ambient.T);
+    const faceCm = t.distance + t.H * level; // hauteur capteur au-dessus du fond
+    const capL = (t.W * t.H * t.D) / 1000;
+
+    out.status(...STATUS[status]);
+    out.volume(`${fmt(capL * level, 2)} / ${fmt(capL, 2)} L`);
+    out.dist(`${fmt(t.distance)} cm`);
+    out.echo(`${fmt(r.echoUs, 0)} µs`, r.valid ? '' : 'alert');
+    out.read(r.valid
+      ? `${fmt(r.readCm)} cm → ${fmt(100 * (faceCm - r.readCm) / t.H, 0)} %`
+      : 'hors plage (< 2 cm)', r.valid ? '' : 'alert');
+    out.flow(tapOpen ? `${fmt(flowMl)} mL/s` : '—');
+
+    warn(status === 'overflow'
+      ? `Trop-plein : niveau ≥ ${fmt(TANK_LIMITS.overflow * 100, 0)} % — arrêter la collecte.`
+      : status === 'empty' && tapOpen
+        ? 'Cuve vide : eau sous le niveau du robinet.'
+        : '');
+  }
+
+  range.addEventListener('input', () => {
+    setState('tank', { level: Number(range.value) / 100 });
+  });
+  tap.addEventListener('click', () => {
+    setState('tank', { tapOpen: !state.tank.tapOpen, flowMl: 0 });
+  });
+
+  subscribe((section) => { if (section === 'tank') render(); });
+  setState('tank', { level: TANK.fill });
+
+  return {
+    render,
+    update(dt) {
+      if (!state.tank.tapOpen) return;
+      const t = applyTankLevel(getRoot(), state.tank.level);
+      if (!t) return;
+      const step = drainStep(state.tank.level, dt, t);
+      // eau au niveau du robinet : débit nul publié une fois, puis plus rien
+      if (step.flowMl === 0 && state.tank.flowMl === 0) return;
+      setState('tank', step);
+    },
+  };
+}
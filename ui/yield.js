@@ -0,0 +1,129 @@
+/**
+ * ui/yield.js
+ * Panneau « Capteurs & rendement eau »
+ *
+ * Entrées : les deux DHT22 du module Sorbant
+ *   extérieur (paroi droite)  → state.ambient  (alimente TEC, cycle, énergie)
+ *   intérieur (sous la vitre) → state.interior (contrôle de condensation)
+ * Sorties : psychrométrie des deux points de mesure, L/j par voie
+ * (Peltier + Sorbant) et durée de remplissage du réservoir 5 L.
+ * Appareil à l'arrêt (state.device.power) : voie Peltier nulle.
+ */
+
+import { dewPoint, absHumidity, enthalpy, humidityRatio } from '../sim/psychro.js';
+import { estimateYield, fillHours } from '../sim/yield.js';
+import { state, setState, subscribe } from '../sim/state.js';
+import { getModule } from '../modules/registry.js';
+import { paramsFor } from './params.js';
+import { panel, numberField, readout, alertBox, fmt } from './dom.js';
+
+function duration(h) {
+  if (!Number.isFinite(h)) return '∞';
+  return h < 48 ? `${fmt(h)} h` : `${fmt(h / 24)} j`;
+}
+
+export function initYieldPanel() {
+  const el = panel('yield-panel', 'CAPTEURS & RENDEMENT EAU', 'peltier sorbant reservoir assemblage');
+
+  // ── DHT22 extérieur / intérieur ──
+  const sub = (text) => {
+    const t = document.createElement('div');
+    t.className = 'panel-sub';
+    t.textContent = text;
+    el.appendChild(t);
+  };
+
+  sub('DHT22 extérieur');
+  const extT = numberField(el, 'Température', state.ambient.T, { min: -10, max: 50, step: 0.5, unit: '°C' },
+    (v) => setState('ambient', { T: v }));
+  const extRH = numberField(el, 'Humidité', state.ambient.RH, { min: 5, max: 100, step: 1, unit: '%' },
+    (v) => setState('ambient', { RH: v }));
+  const ext = {
+    dew: readout(el, 'Point de rosée'),
+    abs: readout(el, 'Humidité absolue'),
+    h:   readout(el, 'Enthalpie'),
+  };
+
+  sub('DHT22 intérieur (sous vitre)');
+  numberField(el, 'Température', state.interior.T, { min: -10, max: 90, step: 0.5, unit: '°C' },
+    (v) => { setState('interior', { T: v }); renderPsychro(); });
+  numberField(el, 'Humidité', state.interior.RH, { min: 5, max: 100, step: 1, unit: '%' },
+    (v) => { setState('interior', { RH: v }); renderPsychro(); });
+  const int = {
+    dew: readout(el, 'Point de rosée'),
+    abs: readout(el, 'Humidité absolue'),
+    h:   readout(el, 'Enthalpie'),
+    margin: readout(el, 'Marge condensation vitre'),
+  };
+
+  const sep = document.createElement('div');
+  sep.className = 'panel-sep';
+  el.appendChild(sep);
+
+  // ── Rendement ──
+  const out = {
+    peltier: readout(el, 'Voie Peltier'),
+    sorbant: readout(el, 'Voie Sorbant'),
+    total:   readout(el, 'Total'),
+    fill:    readout(el, 'Réservoir vide → plein'),
+    left:    readout(el, 'Reste à remplir'),
+  };
+  const warn = alertBox(el);
+  let last = null;
+  let power = state.device.power;
+
+  function psychro(o, { T, RH }) {
+    o.dew(`${fmt(dewPoint(T, RH))} °C`);
+    o.abs(`${fmt(absHumidity(T, RH) * 1000)} g/m³ · ${fmt(humidityRatio(T, RH) * 1000)} g/kg`);
+    o.h(`${fmt(enthalpy(T, RH))} kJ/kg`);
+  }
+
+  function renderPsychro() {
+    psychro(ext, state.ambient);
+    psychro(int, state.interior);
+    // la vitre (≈ T extérieure) condense si le point de rosée intérieur la dépasse
+    const m = dewPoint(state.interior.T, state.interior.RH) - state.ambient.T;
+    int.margin(`${m >= 0 ? '+' : ''}${fmt(m)} K`, m > 0 ? '' : 'warn');
+  }
+
+  function recompute() {
+    extT.value = state.ambient.T;
+    extRH.value = state.ambient.RH;
+    renderPsychro();
+
+    const { current, Rhs } = state.peltier;
+    const result = estimateYield(state.ambient, {
+      current: state.device.power ? current : 0, Rhs, ...state.energy.opts, cycle: state.sorbant.cycle ?? undefined,
+    });
+    setState('yield', { result });
+    last = result;
+
+    out.peltier(`${fmt(result.peltierL, 2)} L/j (${result.tecHours} h TEC)`);
+    out.sorbant(`${fmt(result.sorbantL, 2)} L/j`);
+    out.total(`${fmt(result.totalL, 2)} L/j`, result.totalL > 0 ? '' : 'alert');
+    warn(result.totalL > 0 ? '' : 'Aucune condensation : air trop sec pour les deux voies.');
+    renderFill();
+  }
+
+  // Durées de remplissage — suivent aussi le niveau courant (state.tank)
+  function renderFill() {
+    if (!last) return;
+    const tank = paramsFor(getModule('reservoir')).tank;
+    const volL = (tank.W * tank.H * tank.D) / 1000;
+    const level = state.tank.level ?? 0;
+    out.fill(`${duration(fillHours(volL, last.totalL))} (${fmt(volL, 2)} L)`);
+    out.left(`${duration(fillHours(volL * (1 - level), last.totalL))} (niveau ${fmt(level * 100, 0)} %)`);
+  }
+
+  subscribe((section) => {
+    if (section === 'ambient' || section === 'peltier' || section === 'energy') recompute();
+    else if (section === 'device' && state.device.power !== power) {
+      power = state.device.power; // après le cycle Sorbant recalculé (ui/cycle.js)
+      recompute();
+    }
+    else if (section === 'tank') renderFill();
+  });
+  recompute();
+
+  return { recompute };
+}
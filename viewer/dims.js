@@ -0,0 +1,174 @@
+/**
+ * viewer/dims.js
+ * Cotation automatique — lignes d'attache, flèches et valeurs
+ *
+ * Cotes hors-tout W (x), D (z), H (y) : boîte englobante des pièces
+ * physiques du module (mêmes exclusions que l'export 3D, panneau
+ * solaire externe exclu). Cotes internes : objets tagués par le module
+ *   userData.cote = { label, axis, at?, side? }   (ou tableau de cotes)
+ *     axis : 'x' | 'y' | 'z'  — direction mesurée
+ *     at   : '-z', '+x'…      — ne retenir que les sommets de cette face
+ *                              (hauteur avant / arrière d'une paroi biaise)
+ *     side : '+x', '-y'…      — côté où la cote est reportée
+ * Un objet coté n'est pas parcouru plus loin (couches de l'assemblage).
+ * Tout est recalculé depuis la géométrie monde à chaque render().
+ * 1 unit = 1 cm
+ */
+
+import * as THREE from 'three';
+import { isExportable } from '../modules/export.js';
+import { PARTS } from '../modules/parts.js';
+import { textSprite } from './measure.js';
+import { fmt } from '../ui/dom.js';
+
+const COLOR   = 0x37474f;
+const HEX     = '#90a4ae';
+const OFF     = { overall: 6, inner: 3 }; // cm — report de la ligne de cote
+const EXT     = 0.8;   // cm — dépassement des lignes d'attache
+const ARROW   = 1.2;   // cm — longueur des flèches
+const SIDES   = { x: '+z', y: '+x', z: '+x' }; // report par défaut
+const OVERALL = [
+  { label: 'W', axis: 'x', side: '+z' },
+  { label: 'D', axis: 'z', side: '+x' },
+  { label: 'H', axis: 'y', side: '-x' },
+];
+
+const axisOf = (s) => s[1];
+const signOf = (s) => (s[0] === '-' ? -1 : 1);
+
+/** Physique, visible, hors composant externe */
+function counted(o) {
+  return o.visible && isExportable(o) && !(o.userData.part && PARTS[o.userData.part]?.external);
+}
+
+/** Meshes comptés sous root (root lui-même toujours retenu) */
+function countedMeshes(root) {
+  const out = [];
+  (function walk(o, top) {
+    if (!top && !counted(o)) return;
+    if (o.isMesh) out.push(o);
+    for (const c of o.children) walk(c, false);
+  })(root, true);
+  return out;
+}
+
+/** Boîte monde des meshes comptés sous root */
+function contentBox(root) {
+  const box = new THREE.Box3();
+  for (const m of countedMeshes(root)) box.expandByObject(m);
+  return box;
+}
+
+/** Boîte monde des sommets d'un objet, limitée à une face (at) */
+function faceBox(o, at) {
+  const box = new THREE.Box3();
+  const meshes = countedMeshes(o);
+  const pts = [];
+  const v = new THREE.Vector3();
+  for (const m of meshes) {
+    const pos = m.geometry.attributes.position;
+    for (let i = 0; i < pos.count; i++) pts.push(v.fromBufferAttribute(pos, i).applyMatrix4(m.matrixWorld).clone());
+  }
+  if (!at) return box.setFromPoints(pts);
+  const k = axisOf(at);
+  const all = new THREE.Box3().setFromPoints(pts);
+  const face = signOf(at) > 0 ? all.max[k] : all.min[k];
+  const tol = 0.01 + 1e-3 * (all.max[k] - all.min[k]);
+  return box.setFromPoints(pts.filter((p) => Math.abs(p[k] - face) <= tol));
+}
+
+/** Cotes taguées sous root (sans descendre dans un objet coté) */
+function taggedCotes(root) {
+  const out = [];
+  (function walk(o, top) {
+    if (!top && (!o.visible || (!counted(o) && !o.userData.cote))) return;
+    const c = o.userData.cote;
+    if (c && !top) {
+      for (const spec of [].concat(c)) out.push({ obj: o, spec });
+      return;
+    }
+    for (const ch of o.children) walk(ch, false);
+  })(root, true);
+  return out;
+}
+
+/**
+ * Segments d'une cote : ligne de cote, 2 lignes d'attache, 2 flèches.
+ * Renvoie { segs: [Vector3…] (paires), mid, length }
+ */
+export function dimensionSegments(box, { axis, side }, off) {
+  const b = axisOf(side), s = signOf(side);
+  const c = ['x', 'y', 'z'].find((k) => k !== axis && k !== b);
+  const face = s > 0 ? box.max[b] : box.min[b];
+  // 3e coordonnée : bas de la pièce si c'est y, milieu sinon
+  const cv = c === 'y' ? box.min.y : (box.min[c] + box.max[c]) / 2;
+
+  const at = (t, bv) => new THREE.Vector3().setComponent('xyz'.indexOf(axis), t)
+    .setComponent('xyz'.indexOf(b), bv).setComponent('xyz'.indexOf(c), cv);
+  const lo = box.min[axis], hi = box.max[axis];
+  const line = face + s * off;
+  const a0 = at(lo, line), a1 = at(hi, line);
+  const segs = [
+    at(lo, face), at(lo, line + s * EXT),
+    at(hi, face), at(hi, line + s * EXT),
+    a0, a1,
+  ];
+  // flèches : 2 ailes par extrémité, dans le plan (axis, side)
+  const len = hi - lo;
+  const head = Math.min(ARROW, len / 3);
+  for (const [tip, dir] of [[a0, 1], [a1, -1]]) {
+    for (const w of [-1, 1]) {
+      segs.push(tip.clone(), at(tip.getComponent('xyz'.indexOf(axis)) + dir * head, line + w * head * 0.35));
+    }
+  }
+  return { segs, mid: a0.clone().lerp(a1, 0.5), length: len };
+}
+
+export function initDims(scene) {
+  const layer = new THREE.Group();
+  layer.userData.isHelper = true;
+  layer.visible = false;
+  scene.add(layer);
+  const lineMat = new THREE.LineBasicMaterial({ color: COLOR, depthTest: false, transparent: true, opacity: 0.9 });
+
+  function clear() {
+    for (const o of [...layer.children]) {
+      layer.remove(o);
+      o.geometry?.dispose();
+      if (o.isSprite) { o.material.map.dispose(); o.material.dispose(); }
+    }
+  }
+
+  function addCote(box, spec, off) {
+    if (box.isEmpty()) return;
+    const { segs, mid, length } = dimensionSegments(box, { side: SIDES[spec.axis], ...spec }, off);
+    if (length < 0.05) return;
+    const ln = new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(segs), lineMat);
+    ln.renderOrder = 999;
+    ln.userData.isHelper = true;
+    ln.raycast = () => {};
+    layer.add(ln);
+    const label = textSprite(`${spec.label} ${fmt(length)}`, HEX, 2.4);
+    const side = spec.side ?? SIDES[spec.axis];
+    label.position.copy(mid).setComponent('xyz'.indexOf(axisOf(side)),
+      mid.getComponent('xyz'.indexOf(axisOf(side))) + signOf(side) * 1.6);
+    layer.add(label);
+  }
+
+  return {
+    get enabled() { return layer.visible; },
+    setEnabled(on) {
+      layer.visible = on;
+      if (!on) clear();
+    },
+    /** Recalcule les cotes de root (sans effet si désactivé) */
+    render(root) {
+      clear();
+      if (!layer.visible || !root) return;
+      root.updateMatrixWorld(true);
+      const box = contentBox(root);
+      for (const spec of OVERALL) addCote(box, spec, OFF.overall);
+      for (const { obj, spec } of taggedCotes(root)) addCote(faceBox(obj, spec.at), spec, OFF.inner);
+    },
+  };
+}
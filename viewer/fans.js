@@ -0,0 +1,51 @@
+/**
+ * viewer/fans.js
+ * Animation des ventilateurs — rotors et flèches de flux
+ *
+ * Source : groupes tagués userData.fanRotor { dir } (rotation autour de X)
+ * et cônes userData.flowCone { base, dir } posés par modules/peltier.js.
+ *   rotor : ω = N·2π/60 × VISUAL_GAIN (sinon effet stroboscopique à 60 i/s)
+ *   cônes : défilent vers le centre à la vitesse de l'air × FLOW_GAIN,
+ *           opacité proportionnelle au débit ; masqués ventilateur arrêté
+ *           par leur matériau (material.visible) — o.visible reste à
+ *           l'arborescence (viewer/outliner.js) : un cône masqué ou hors
+ *           d'un nœud isolé ne réapparaît pas quand le rotor tourne
+ */
+
+import { fanOperating, FAN_50MM } from '../sim/fans.js';
+
+const VISUAL_GAIN = 0.08;  // 5000 tr/min → ~6,7 tr/s à l'écran
+const FLOW_GAIN   = 2;     // cm/s affichés par m/s d'air
+const SPAN        = 2.0;   // cm de course d'une flèche avant retour
+const EASE        = 3;     // 1/s — montée / ralentissement du rotor
+
+export function initFans({ getState }) {
+  let rpm = 0;       // vitesse affichée (inertie)
+  let travel = 0;    // cm parcourus par les flèches
+
+  function update(dt, root) {
+    if (!root?.visible) return;
+    const { rpm: target, relay } = getState();
+    const op = fanOperating(target, relay);
+    rpm += (op.rpm - rpm) * Math.min(1, dt * EASE);
+    if (rpm < 1) rpm = 0;
+
+    const shown = fanOperating(rpm, true);
+    const omega = (rpm * 2 * Math.PI / 60) * VISUAL_GAIN;
+    travel = (travel + shown.velocity * FLOW_GAIN * dt) % SPAN;
+    const k = shown.airflow / FAN_50MM.qMax;
+
+    root.traverse((o) => {
+      const u = o.userData;
+      if (u.fanRotor) o.rotation.x = (o.rotation.x + u.fanRotor.dir * omega * dt) % (2 * Math.PI);
+      else if (u.flowCone) {
+        o.material.visible = rpm > 0;
+        o.position.copy(u.flowCone.base);
+        o.position.x += u.flowCone.dir * travel;
+        o.material.opacity = 0.15 + 0.6 * k * (1 - travel / SPAN);
+      }
+    });
+  }
+
+  return { update };
+}
@@ -0,0 +1,93 @@
+/**
+ * viewer/flow.js
+ * Visualisation du flux d'eau — gouttelettes le long des tuyaux
+ *
+ * Source : tout mesh TubeGeometry tagué userData.water par les modules.
+ * La courbe (geometry.parameters.path) est décrite dans le sens
+ * d'écoulement : gouttière Sorbant → T → débitmètre → TDS → 5µm →
+ * charbon → calcite → UV-C → réservoir.
+ *   'condensat' : réseau gravitaire, actif dès que le flux est affiché
+ *   'robinet'   : sortie réservoir, active seulement robinet ouvert
+ * Tuyaux masqués ou hors d'un nœud isolé (ui/outliner.js) : sans gouttes.
+ *
+ * Vitesse : v = Q / (π r²) × VISUAL_GAIN (débit réel trop lent à l'œil).
+ * 1 unit = 1 cm
+ */
+
+import * as THREE from 'three';
+
+const SPACING     = 2.2;   // cm entre deux gouttes
+const VISUAL_GAIN = 5;     // facteur d'accélération visuelle
+const MAX_DROPS   = 1500;
+
+export function initFlow(scene, { isTapOpen = () => false } = {}) {
+  const drops = new THREE.InstancedMesh(
+    new THREE.SphereGeometry(1, 8, 6),
+    new THREE.MeshBasicMaterial({ color: 0x7fd8ff, transparent: true, opacity: 0.95 }),
+    MAX_DROPS,
+  );
+  drops.count = 0;
+  drops.frustumCulled = false;
+  drops.renderOrder = 5;
+  drops.userData.isHelper = true;
+  drops.visible = false;
+  scene.add(drops);
+
+  let enabled = false;
+  let rate = 60;          // mL/min = cm³/min
+  let travel = [];        // cm parcourus par tuyau (index de traversée)
+
+  const m = new THREE.Matrix4();
+  const p = new THREE.Vector3();
+  const q = new THREE.Quaternion();
+  const sc = new THREE.Vector3();
+
+  // Tuyaux visibles : branches masquées dans l'arborescence non parcourues
+  function tubesOf(root) {
+    const out = [];
+    (function walk(o) {
+      if (!o.visible) return;
+      if (o.isMesh && o.userData.water && o.geometry.parameters?.path) out.push(o);
+      for (const c of o.children) walk(c);
+    })(root);
+    return out;
+  }
+
+  function update(dt, root) {
+    drops.visible = enabled && root.visible;
+    if (!drops.visible) return;
+
+    root.updateMatrixWorld();
+    const tubes = tubesOf(root);
+    if (travel.length !== tubes.length) travel = tubes.map(() => 0);
+
+    let n = 0;
+    tubes.forEach((tube, i) => {
+      const { path, radius } = tube.geometry.parameters;
+      const active = tube.userData.water !== 'robinet' || isTapOpen();
+      if (!active) return;
+
+      const v = (rate / 60) / (Math.PI * radius * radius) * VISUAL_GAIN; // cm/s
+      travel[i] += v * dt;
+
+      const L = path.getLength();
+      const count = Math.max(1, Math.floor(L / SPACING));
+      const r = radius * 0.7;
+      for (let k = 0; k < count && n < MAX_DROPS; k++) {
+        const u = ((k * SPACING + travel[i]) % L) / L;
+        path.getPointAt(u, p).applyMatrix4(tube.matrixWorld);
+        m.compose(p, q, sc.set(r, r, r));
+        drops.setMatrixAt(n++, m);
+      }
+    });
+    drops.count = n;
+    drops.instanceMatrix.needsUpdate = true;
+  }
+
+  return {
+    update,
+    setEnabled(on) { enabled = on; },
+    setRate(mlPerMin) { rate = Math.max(0, mlPerMin); },
+    get enabled() { return enabled; },
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * viewer/measure.js
+ * Outil de mesure sur la maquette — distances et angles
+ *
+ * Mode 'distance' : 2 clics sur des surfaces → ligne de cote + longueur
+ * Mode 'angle'    : 3 clics A, O, B → angle AÔB au sommet O (2e clic)
+ * Les points sont les impacts du raycaster (viewer/pointer.js), en
+ * coordonnées monde. Chaque mesure reste affichée (helpers hors picking)
+ * jusqu'à clear() ; elle est rattachée à son module et masquée ailleurs.
+ * 1 unit = 1 cm
+ */
+
+import * as THREE from 'three';
+import { fmt } from '../ui/dom.js';
+
+const COLOR  = 0xd81b60;
+const HEX    = '#d81b60';
+const DOT_R  = 0.45;   // cm — rayon des repères de points
+const ARC_R  = 0.3;    // rayon de l'arc d'angle, en fraction du bras le plus court
+const POINTS = { distance: 2, angle: 3 };
+
+/** Sprite texte (fond sombre, bord coloré) — hauteur h cm, largeur au texte */
+export function textSprite(text, hex = HEX, h = 3) {
+  const CH = 64;
+  const cv = document.createElement('canvas');
+  const ctx = cv.getContext('2d');
+  ctx.font = 'bold 40px Rajdhani,Arial,sans-serif';
+  const CW = Math.ceil((ctx.measureText(text).width || text.length * 20) + 32);
+  cv.width = CW; cv.height = CH;
+  ctx.fillStyle = 'rgba(2,8,18,0.82)';
+  ctx.fillRect(0, 0, CW, CH);
+  ctx.strokeStyle = hex; ctx.lineWidth = 4;
+  ctx.strokeRect(2, 2, CW - 4, CH - 4);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 40px Rajdhani,Arial,sans-serif';
+  ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+  ctx.fillText(text, CW / 2, CH / 2 + 1);
+  const sp = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: new THREE.CanvasTexture(cv), depthTest: false, transparent: true,
+  }));
+  sp.scale.set(h * CW / CH, h, 1);
+  sp.renderOrder = 1000;
+  sp.userData.isHelper = true;
+  return sp;
+}
+
+/** Distance (cm) entre deux points */
+export function distance(a, b) {
+  return a.distanceTo(b);
+}
+
+/** Angle AÔB en degrés */
+export function angle(a, o, b) {
+  return THREE.MathUtils.radToDeg(a.clone().sub(o).angleTo(b.clone().sub(o)));
+}
+
+/** Libellé d'une mesure : « 23,4 cm · 234 mm » ou « 12,0° » */
+export function measureText(m) {
+  return m.type === 'distance'
+    ? `${fmt(m.value)} cm · ${fmt(m.value * 10, 0)} mm`
+    : `${fmt(m.value)}°`;
+}
+
+export function initMeasure(scene, { getModuleId }) {
+  const layer = new THREE.Group();
+  layer.userData.isHelper = true;
+  scene.add(layer);
+
+  const lineMat = new THREE.LineBasicMaterial({ color: COLOR, depthTest: false, transparent: true });
+  const dotMat  = new THREE.MeshBasicMaterial({ color: COLOR, depthTest: false, transparent: true });
+  const dotGeo  = new THREE.SphereGeometry(DOT_R, 12, 8);
+
+  let mode = null;       // null | 'distance' | 'angle'
+  let pending = [];      // points cliqués de la mesure en cours
+  let pendingGroup = null;
+  const list = [];       // { id, module, type, value, points, group }
+  const listeners = [];
+  let nextId = 1;
+
+  const changed = () => listeners.forEach((fn) => fn());
+
+  function helper(o) {
+    o.userData.isHelper = true;
+    o.renderOrder = 999;
+    o.raycast = () => {};
+    return o;
+  }
+  const dot = (p) => {
+    const m = helper(new THREE.Mesh(dotGeo, dotMat));
+    m.position.copy(p);
+    return m;
+  };
+  const polyline = (pts) => helper(new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), lineMat));
+
+  function dispose(g) {
+    g.parent?.remove(g);
+    g.traverse((o) => {
+      if (o.geometry && o.geometry !== dotGeo) o.geometry.dispose();
+      if (o.isSprite) { o.material.map.dispose(); o.material.dispose(); }
+    });
+  }
+
+  /** Groupe 3D d'une mesure terminée */
+  function draw(m) {
+    const g = new THREE.Group();
+    g.userData.isHelper = true;
+    m.points.forEach((p) => g.add(dot(p)));
+    const label = textSprite(`${m.id} · ${measureText(m)}`);
+    if (m.type === 'distance') {
+      const [a, b] = m.points;
+      g.add(polyline([a, b]));
+      label.position.copy(a).lerp(b, 0.5);
+    } else {
+      const [a, o, b] = m.points;
+      g.add(polyline([a, o, b]));
+      // arc centré en O, de OA vers OB (plan AOB)
+      const u = a.clone().sub(o), v = b.clone().sub(o);
+      const r = Math.min(u.length(), v.length()) * ARC_R;
+      const axis = u.clone().cross(v);
+      const mid = u.clone().normalize();
+      if (axis.lengthSq() > 1e-9) {
+        axis.normalize();
+        const theta = u.angleTo(v);
+        const arc = [];
+        for (let i = 0; i <= 24; i++) {
+          arc.push(u.clone().normalize().applyAxisAngle(axis, theta * i / 24).multiplyScalar(r).add(o));
+        }
+        g.add(polyline(arc));
+        mid.applyAxisAngle(axis, theta / 2);
+      }
+      label.position.copy(o).addScaledVector(mid, r + 2.5);
+    }
+    g.add(label);
+    return g;
+  }
+
+  function resetPending() {
+    pending = [];
+    if (pendingGroup) dispose(pendingGroup);
+    pendingGroup = null;
+  }
+
+  function addPoint(p) {
+    pending.push(p.clone());
+    if (!pendingGroup) {
+      pendingGroup = new THREE.Group();
+      pendingGroup.userData.isHelper = true;
+      layer.add(pendingGroup);
+    }
+    pendingGroup.add(dot(p));
+    if (pending.length > 1) pendingGroup.add(polyline(pending.slice(-2)));
+
+    if (pending.length < POINTS[mode]) {
+      changed();
+      return;
+    }
+    const points = pending;
+    resetPending();
+    const m = {
+      id: nextId++,
+      module: getModuleId(),
+      type: mode,
+      value: mode === 'distance' ? distance(...points) : angle(...points),
+      points,
+    };
+    m.group = draw(m);
+    layer.add(m.group);
+    list.push(m);
+    changed();
+  }
+
+  return {
+    list,
+    get mode() { return mode; },
+    /** Points déjà posés pour la mesure en cours */
+    get pending() { return pending.length; },
+    setMode(next) {
+      mode = next;
+      resetPending();
+      changed();
+    },
+    /** Handler pointer.onClick : consomme tout clic en mode mesure */
+    click(hit) {
+      if (!mode) return false;
+      if (hit) addPoint(hit.point);
+      return true;
+    },
+    /** Handler pointer.onHover */
+    hover(hit) {
+      return mode && hit ? 'crosshair' : '';
+    },
+    /** Affiche les mesures du module actif seulement */
+    show(moduleId) {
+      for (const m of list) m.group.visible = m.module === moduleId;
+      resetPending();
+      changed();
+    },
+    remove(id) {
+      const i = list.findIndex((m) => m.id === id);
+      if (i < 0) return;
+      dispose(list[i].group);
+      list.splice(i, 1);
+      changed();
+    },
+    clear() {
+      for (const m of list) dispose(m.group);
+      list.length = 0;
+      resetPending();
+      nextId = 1;
+      changed();
+    },
+    onChange(fn) { listeners.push(fn); },
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * viewer/outliner.js
+ * Arborescence du module affiché — visibilité et opacité par nœud
+ *
+ * Nœuds : groupes nommés (sous-ensembles sub() des modules, couches de
+ * l'assemblage) et objets tagués userData.part (feuilles, non
+ * parcourues). Chemin d'un objet : « parent/nom#rang », rang parmi les
+ * frères de même nom — stable d'une régénération à l'autre, l'affichage
+ * choisi est donc réappliqué au nouveau module.
+ *
+ * display : Map chemin → { visible?, opacity? }. Les opacités se
+ * multiplient le long de l'arborescence et s'appliquent aux matériaux
+ * (opacité d'origine conservée) ; volumes de vapeur et cônes de flux,
+ * animés par la simulation, gardent la leur.
+ */
+
+import { PARTS } from '../modules/parts.js';
+
+const base = new WeakMap(); // material → { opacity, transparent, depthWrite } d'origine
+
+/** Libellé d'un nœud : nom du groupe ou désignation du composant */
+function label(o) {
+  return o.name || PARTS[o.userData.part]?.name || o.userData.part;
+}
+
+function listed(o) {
+  return (o.isGroup && !!o.name) || !!o.userData.part;
+}
+
+/** Chemins des enfants directs de o : fn(enfant, chemin) */
+function eachChild(o, path, fn) {
+  const seen = {};
+  for (const c of o.children) {
+    const k = c.name || c.userData.part || '';
+    seen[k] = (seen[k] ?? -1) + 1;
+    fn(c, `${path}/${k}#${seen[k]}`);
+  }
+}
+
+/**
+ * Arbre des nœuds listés sous root :
+ * [{ obj, path, label, children: […] }]. Les groupes anonymes sont
+ * traversés (leurs nœuds remontent au niveau du parent).
+ */
+export function sceneTree(root) {
+  const walk = (o, path) => {
+    const out = [];
+    eachChild(o, path, (c, p) => {
+      const u = c.userData;
+      if (u.isHelper || u.isLabel) return;
+      if (!listed(c)) {
+        if (c.isGroup) out.push(...walk(c, p));
+        return;
+      }
+      out.push({ obj: c, path: p, label: label(c), children: u.part ? [] : walk(c, p) });
+    });
+    return out;
+  };
+  return walk(root, '');
+}
+
+/** Opacité f appliquée aux matériaux propres de o (sans descendre) */
+function setOpacity(o, f) {
+  const u = o.userData;
+  if (!o.material || u.isHelper || u.isLabel || u.isVapeur || u.flowCone) return;
+  for (const m of [].concat(o.material)) {
+    let b = base.get(m);
+    if (!b) {
+      if (f === 1) continue;
+      b = { opacity: m.opacity, transparent: m.transparent, depthWrite: m.depthWrite };
+      base.set(m, b);
+    }
+    const t = b.transparent || f < 1;
+    if (m.transparent !== t) m.needsUpdate = true;
+    m.transparent = t;
+    m.opacity = b.opacity * f;
+    m.depthWrite = b.depthWrite && f > 0.5; // parois estompées : on voit au travers
+  }
+}
+
+/** Applique display (visibilité + opacité) à tout le module */
+export function applyDisplay(root, display) {
+  const walk = (o, path, f) => {
+    eachChild(o, path, (c, p) => {
+      const d = display.get(p);
+      if (d?.visible !== undefined) c.visible = d.visible;
+      const k = f * (d?.opacity ?? 1);
+      setOpacity(c, k);
+      walk(c, p, k);
+    });
+  };
+  walk(root, '', 1);
+}
+
+/**
+ * Isole le nœud path : masque tous les frères de sa lignée (objets non
+ * listés compris), l'affiche lui et ses ancêtres. Modifie display.
+ */
+export function isolate(root, display, path) {
+  const walk = (o, p0) => {
+    eachChild(o, p0, (c, p) => {
+      const u = c.userData;
+      if (u.isHelper) return;
+      if (p === path) {
+        display.set(p, { ...display.get(p), visible: true });
+      } else if (path.startsWith(`${p}/`)) {
+        display.set(p, { ...display.get(p), visible: true });
+        walk(c, p);
+      } else {
+        display.set(p, { ...display.get(p), visible: false });
+      }
+    });
+  };
+  walk(root, '');
+}
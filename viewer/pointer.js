@@ -0,0 +1,66 @@
+/**
+ * viewer/pointer.js
+ * Clic 3D dans le canvas — raycasting sur le module affiché
+ *
+ * Un clic = pointerdown + pointerup à moins de CLICK_PX (sinon c'est
+ * une rotation OrbitControls). Les handlers enregistrés par onClick()
+ * reçoivent le premier impact visible (hors labels / helpers) ou null,
+ * et renvoient true pour consommer le clic.
+ * onHover(fn) : fn(hit) → curseur CSS à afficher ('' = défaut).
+ * isCut(point) : impact dans la partie retirée par le plan de coupe
+ * (viewer/section.js) — ignoré, le rayon traverse.
+ */
+
+import * as THREE from 'three';
+
+const CLICK_PX = 5;
+
+/** Objet et tous ses parents visibles */
+function shown(o) {
+  for (; o; o = o.parent) if (!o.visible) return false;
+  return true;
+}
+
+export function initPointer(canvas, camera, { getRoot, isCut = () => false }) {
+  const raycaster = new THREE.Raycaster();
+  const ndc = new THREE.Vector2();
+  const clicks = [];
+  const hovers = [];
+  let down = null;
+  let hoverPending = false;
+
+  function hitAt(e) {
+    const root = getRoot();
+    if (!root) return null;
+    const r = canvas.getBoundingClientRect();
+    ndc.set(((e.clientX - r.left) / r.width) * 2 - 1, -((e.clientY - r.top) / r.height) * 2 + 1);
+    raycaster.setFromCamera(ndc, camera);
+    return raycaster.intersectObject(root, true).find((h) =>
+      h.object.isMesh && !h.object.userData.isLabel && !h.object.userData.isHelper && shown(h.object)
+      && !isCut(h.point)
+    ) ?? null;
+  }
+
+  canvas.addEventListener('pointerdown', (e) => { down = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener('pointerup', (e) => {
+    if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > CLICK_PX) return;
+    down = null;
+    const hit = hitAt(e);
+    for (const fn of clicks) if (fn(hit, e)) break;
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (!hovers.length || hoverPending || e.buttons) return;
+    hoverPending = true;
+    requestAnimationFrame(() => {
+      hoverPending = false;
+      const hit = hitAt(e);
+      canvas.style.cursor = hovers.map((fn) => fn(hit)).find(Boolean) ?? '';
+    });
+  });
+
+  return {
+    hitAt,
+    onClick(fn) { clicks.push(fn); },
+    onHover(fn) { hovers.push(fn); },
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * viewer/section.js
+ * Plan de coupe — clipping renderer + faces coupées hachurées
+ *
+ * Plan normal à X, Y ou Z à la position choisie (cm, monde) ; on garde
+ * le côté opposé à la caméra par défaut (x < p, y < p, z < p), flip
+ * inverse. Tous les matériaux du module affiché reçoivent
+ * clippingPlanes (arêtes comprises, étiquettes non).
+ *
+ * Bouchage (méthode stencil) : chaque mesh pesant (density > 0) reçoit
+ * deux enfants invisibles — faces arrière +1, faces avant −1 dans le
+ * stencil. Là où le compte ≠ 0 le plan coupe de la matière : un plan
+ * hachuré y est dessiné. Les volumes visuels (density 0 : vapeur,
+ * parois de cuve fantômes) restent donc creux.
+ * 1 unit = 1 cm
+ */
+
+import * as THREE from 'three';
+
+const AXES   = { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 1, 0), z: new THREE.Vector3(0, 0, 1) };
+const HATCH  = 3;      // cm par motif de hachure
+const MARGIN = 1.3;    // taille du plan de bouchage / boîte du module
+
+/** Texture hachurée 45° (convention dessin technique) */
+function hatchTexture() {
+  const S = 64;
+  const cv = document.createElement('canvas');
+  cv.width = cv.height = S;
+  const ctx = cv.getContext('2d');
+  ctx.fillStyle = '#cfd8dc';
+  ctx.fillRect(0, 0, S, S);
+  ctx.strokeStyle = '#455a64';
+  ctx.lineWidth = 5;
+  ctx.beginPath();
+  for (const o of [-S, 0, S]) { ctx.moveTo(o, S); ctx.lineTo(o + S, 0); }
+  ctx.stroke();
+  const tex = new THREE.CanvasTexture(cv);
+  tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+  return tex;
+}
+
+function stencilMat(side, op) {
+  return new THREE.MeshBasicMaterial({
+    side, colorWrite: false, depthWrite: false, depthTest: false,
+    stencilWrite: true, stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: op, stencilZFail: op, stencilZPass: op,
+  });
+}
+
+export function initSection(scene, renderer) {
+  renderer.localClippingEnabled = true;
+
+  const plane = new THREE.Plane(new THREE.Vector3(-1, 0, 0), 0);
+  const planes = [plane];
+  const back  = stencilMat(THREE.BackSide,  THREE.IncrementWrapStencilOp);
+  const front = stencilMat(THREE.FrontSide, THREE.DecrementWrapStencilOp);
+  back.clippingPlanes = front.clippingPlanes = planes;
+
+  const hatch = hatchTexture();
+  const cap = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({
+      map: hatch, side: THREE.DoubleSide,
+      stencilWrite: true, stencilRef: 0, stencilFunc: THREE.NotEqualStencilFunc,
+      stencilFail: THREE.ReplaceStencilOp, stencilZFail: THREE.ReplaceStencilOp,
+      stencilZPass: THREE.ReplaceStencilOp,
+    }),
+  );
+  cap.renderOrder = 2;
+  cap.userData.isHelper = true;
+  cap.raycast = () => {};
+
+  // cadre : emprise du module dans le plan de coupe (coordonnées monde)
+  const frame = new THREE.LineLoop(
+    new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({ color: 0xd81b60, transparent: true, opacity: 0.8 }),
+  );
+  frame.userData.isHelper = true;
+  frame.raycast = () => {};
+
+  const gizmo = new THREE.Group();
+  gizmo.userData.isHelper = true;
+  gizmo.visible = false;
+  gizmo.add(cap, frame);
+  scene.add(gizmo);
+
+  let root = null;
+  let stencils = [];
+  let opts = { axis: 'x', pos: 0, flip: false };
+  let box = new THREE.Box3();
+
+  /** Materials clippés ou non sous root (étiquettes et helpers exclus) */
+  function setClipping(r, on) {
+    r.traverse((o) => {
+      if (!o.material || o.userData.isLabel || o.userData.isHelper) return;
+      for (const m of [].concat(o.material)) {
+        m.clippingPlanes = on ? planes : null;
+        m.clipShadows = on;
+      }
+    });
+  }
+
+  function detach() {
+    if (!root) return;
+    setClipping(root, false);
+    for (const s of stencils) s.parent?.remove(s);
+    stencils = [];
+    root = null;
+  }
+
+  function attach(r) {
+    detach();
+    root = r;
+    setClipping(root, true);
+    const solids = [];
+    root.traverse((o) => {
+      const u = o.userData;
+      if (o.isMesh && !u.isHelper && !u.isLabel && o.material?.userData?.density > 0) solids.push(o);
+    });
+    for (const m of solids) {
+      for (const mat of [back, front]) {
+        const s = new THREE.Mesh(m.geometry, mat);
+        s.renderOrder = 1; // après la scène, avant le bouchon (2)
+        s.userData.isHelper = true;
+        s.raycast = () => {};
+        m.add(s);
+        stencils.push(s);
+      }
+    }
+    box = new THREE.Box3().setFromObject(root);
+  }
+
+  /** Place le plan, le bouchon hachuré et son cadre */
+  function place() {
+    const n = AXES[opts.axis];
+    const s = opts.flip ? 1 : -1;
+    plane.normal.copy(n).multiplyScalar(s);
+    plane.constant = -s * opts.pos;
+
+    const i = 'xyz'.indexOf(opts.axis);
+    const c = box.getCenter(new THREE.Vector3()).setComponent(i, opts.pos);
+    const size = box.getSize(new THREE.Vector3()).length() * MARGIN;
+    cap.position.copy(c);
+    cap.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), n);
+    cap.scale.set(size, size, 1);
+    hatch.repeat.set(size / HATCH, size / HATCH);
+
+    const [u, v] = [0, 1, 2].filter((k) => k !== i);
+    const lo = box.min.toArray(), hi = box.max.toArray();
+    const corner = (a, b) => new THREE.Vector3().setComponent(i, opts.pos)
+      .setComponent(u, a ? hi[u] : lo[u]).setComponent(v, b ? hi[v] : lo[v]);
+    frame.geometry.dispose();
+    frame.geometry = new THREE.BufferGeometry().setFromPoints(
+      [corner(0, 0), corner(1, 0), corner(1, 1), corner(0, 1)]);
+  }
+
+  return {
+    plane,
+    get enabled() { return gizmo.visible; },
+    get range() { return box.isEmpty() ? null : { min: box.min[opts.axis], max: box.max[opts.axis] }; },
+    /** Active la coupe sur r (null : désactive) */
+    setRoot(r) {
+      if (!r) {
+        detach();
+        gizmo.visible = false;
+        return;
+      }
+      attach(r);
+      gizmo.visible = true;
+      place();
+    },
+    set(patch) {
+      opts = { ...opts, ...patch };
+      if (root) place();
+    },
+    /** Point conservé par la coupe (picking) */
+    keeps(point) {
+      return !gizmo.visible || plane.distanceToPoint(point) >= 0;
+    },
+  };
+}